@@ -0,0 +1,728 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 백테스트 엔진
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 기록된 캔들/호가 데이터를 재생하여 실거래와 같은 로직(trader.js)으로
+ * 스캔 → 페어 선정 → 매수 → 익절/손절 모니터링을 시뮬레이션합니다.
+ * 
+ * 구성:
+ * - 시세: 기록된 데이터 재생기 (upbit-api.js와 같은 시세 조회 함수)
+ * - 주문: paper-exchange.js (재생 중인 호가로 체결)
+ * - 시간: 가상 시계 (sleep 시 즉시 시간이 흐름)
+ * - LLM: 결정적 스텁 또는 기록된 LLM 응답 (--analyzer: 실제 llm-analyzer.js - 프롬프트 생성/검증까지 실행,
+ *   LLM_FIXTURE_MODE=replay 또는 LLM_PROVIDER=stub과 함께 쓰면 네트워크 없이 재현)
+ * - DB/Notion: 메모리 저장소 (실제 DB에 기록하지 않음)
+ * 
+ * ============================================================
+ * 실행 방법:
+ *   # 시세 기록 (기록분 동안 수집 후 파일로 저장)
+ *   node backtest.js record <출력파일> <기록분> [마켓코드...]
+ *   예: node backtest.js record data/0210.json 60 KRW-BTC KRW-XRP
+ * 
+ *   # 백테스트 실행
+ *   node backtest.js <데이터파일> [시드머니] [--llm=<LLM응답파일>] [--analyzer] [--out=<결과파일>]
+ *   예: node backtest.js data/0210.json 100000 --out=result.json
+ *   예: LLM_FIXTURE_MODE=replay node backtest.js data/0210.json 100000 --analyzer
+ * 
+ * ============================================================
+ * 데이터 파일 형식 (JSON):
+ *   {
+ *     "candleType": "seconds",
+ *     "markets":    [{ "market": "KRW-BTC", "korean_name": "비트코인", "market_event": {...} }],
+ *     "candles":    { "KRW-BTC": [ Upbit 캔들 (timestamp 포함) ] },
+ *     "orderbooks": { "KRW-BTC": [ { "timestamp": ..., "orderbook_units": [...] } ] },
+ *     "tickers":    { "KRW-BTC": [ { "timestamp": ..., Upbit 현재가 필드 } ] }
+ *   }
+ *   orderbooks / tickers는 선택이며, 없으면 캔들 종가로 합성합니다.
+ * 
+ * LLM 응답 파일 형식 (JSON, 선택):
+ *   { "selectBestPair": [ {...}, ... ], "analyzeTradePrices": [ {...}, ... ] }
+ *   기록된 순서대로 사용하고, 모두 소진되면 결정적 스텁 규칙으로 전환합니다.
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { log, sleep, now, setClock } = require('./utils');
+const upbit = require('./upbit-api');
+const paperExchange = require('./paper-exchange');
+const trader = require('./trader');
+const llmAnalyzer = require('./llm-analyzer');
+const { ERROR_ACTION, errorAction } = require('./errors');
+const { normalizePrice } = require('./order-normalizer');
+
+// 워밍업 캔들 수 (getPairDetails가 LLM에 넘기는 캔들 수)
+const WARMUP_CANDLES = 50;
+
+// ============================================================
+// 가상 시계
+// ============================================================
+
+/**
+ * 가상 시계 생성
+ * 
+ * sleep(ms)은 실제로 기다리지 않고 대기 목록에 등록되며,
+ * 모든 작업이 대기 상태가 되면 가장 이른 대기부터 시간을 앞당겨 깨웁니다.
+ * 여러 작업이 동시에 sleep해도 시간 순서가 지켜집니다.
+ * 
+ * @param {number} startTime - 시작 시각 (epoch 밀리초)
+ * @returns {object} { now(), sleep(ms) }
+ */
+function createVirtualClock(startTime) {
+  let time = startTime;
+  const timers = [];
+  let scheduled = false;
+
+  // 대기 중인 작업이 모두 멈춘 뒤(setImmediate) 가장 이른 타이머를 깨움
+  function wakeNext() {
+    scheduled = false;
+    if (timers.length === 0) return;
+
+    timers.sort((a, b) => a.at - b.at);
+    const timer = timers.shift();
+    time = Math.max(time, timer.at);
+    timer.resolve();
+    schedule();
+  }
+
+  function schedule() {
+    if (!scheduled && timers.length > 0) {
+      scheduled = true;
+      setImmediate(wakeNext);
+    }
+  }
+
+  return {
+    now: () => time,
+    sleep: (ms) => new Promise(resolve => {
+      timers.push({ at: time + ms, resolve });
+      schedule();
+    }),
+  };
+}
+
+// ============================================================
+// 시세 재생기
+// ============================================================
+
+/**
+ * 시각 기준 최신 항목 인덱스 (timestamp <= at 중 마지막)
+ * 
+ * @param {array} items - timestamp 오름차순 정렬된 배열
+ * @param {number} at - 기준 시각
+ * @returns {number} 인덱스 (없으면 -1)
+ */
+function indexAt(items, at) {
+  let lo = 0;
+  let hi = items.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (items[mid].timestamp <= at) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * 데이터 파일 로드
+ * 
+ * 모든 시계열을 timestamp 오름차순으로 정렬합니다.
+ * 
+ * @param {string} file - 데이터 파일 경로
+ * @returns {object} 데이터셋
+ */
+function loadDataset(file) {
+  const dataset = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const sortSeries = (series = {}) => Object.fromEntries(
+    Object.entries(series).map(([market, items]) => [market, [...items].sort((a, b) => a.timestamp - b.timestamp)])
+  );
+
+  return {
+    candleType: dataset.candleType || config.SCAN.CANDLE_TYPE,
+    markets: dataset.markets || [],
+    candles: sortSeries(dataset.candles),
+    orderbooks: sortSeries(dataset.orderbooks),
+    tickers: sortSeries(dataset.tickers),
+  };
+}
+
+/**
+ * 기록된 시세 재생기 생성
+ * 
+ * upbit-api.js의 시세 조회 함수와 같은 형태로,
+ * 가상 시계의 현재 시각까지 기록된 데이터만 반환합니다.
+ * 데이터 종료 시각 이후 조회 시 에러를 던져 진행 중인 거래를 끝냅니다.
+ * 
+ * @param {object} dataset - loadDataset() 결과
+ * @returns {object} 시세 조회 함수 + startTime / endTime
+ */
+function createReplayMarketData(dataset) {
+  const series = Object.values(dataset.candles).filter(c => c.length > 0);
+  if (series.length === 0) {
+    throw new Error('데이터 파일에 캔들이 없습니다.');
+  }
+
+  const endTime = Math.max(...series.map(c => c[c.length - 1].timestamp));
+  const warmupIndex = (c) => c[Math.min(WARMUP_CANDLES, c.length) - 1].timestamp;
+  const startTime = Math.min(endTime, Math.min(...series.map(warmupIndex)));
+
+  function ensureInRange() {
+    if (now() > endTime) {
+      throw new Error('백테스트 데이터 종료');
+    }
+  }
+
+  function candlesAt(market, count = Infinity) {
+    const candles = dataset.candles[market] || [];
+    const end = indexAt(candles, now()) + 1;
+    return candles.slice(Math.max(0, end - count), end);
+  }
+
+  function tickerAt(market) {
+    const candles = dataset.candles[market] || [];
+    const last = candles[indexAt(candles, now())];
+    if (!last) return null;
+
+    const snapshots = dataset.tickers[market] || [];
+    const snapshot = snapshots[indexAt(snapshots, now())] || {};
+    const prevClose = snapshot.prev_closing_price || candles[0].opening_price;
+
+    return {
+      ...snapshot,
+      market,
+      trade_price: last.trade_price,
+      signed_change_rate: (last.trade_price - prevClose) / prevClose,
+      // 현재가 기록이 없으면 최근 24시간 캔들 거래대금 합계로 대체
+      acc_trade_price_24h: snapshot.acc_trade_price_24h ?? candlesAt(market)
+        .filter(c => c.timestamp >= now() - 24 * 60 * 60 * 1000)
+        .reduce((sum, c) => sum + (c.candle_acc_trade_price || 0), 0),
+      timestamp: last.timestamp,
+    };
+  }
+
+  async function getMarkets() {
+    ensureInRange();
+    return dataset.markets;
+  }
+
+  async function getCandles(market, unit = 1, count = 100) {
+    ensureInRange();
+    // Upbit 응답과 같이 최신 캔들이 앞에 오도록 정렬
+    return candlesAt(market, count).reverse();
+  }
+
+  async function getOrderbook(market) {
+    ensureInRange();
+    const snapshots = dataset.orderbooks[market] || [];
+    const snapshot = snapshots[indexAt(snapshots, now())];
+    if (snapshot) return { market, ...snapshot };
+
+    // 호가 기록이 없으면 종가 기준 합성 호가 (호가 단위에 맞춤)
+    const price = tickerAt(market)?.trade_price;
+    if (!price) return { market, orderbook_units: [] };
+    const spread = price * config.BACKTEST.SYNTHETIC_SPREAD / 2;
+    return {
+      market,
+      timestamp: now(),
+      orderbook_units: [{
+        ask_price: normalizePrice(price + spread, 'ceil'),
+        bid_price: normalizePrice(price - spread, 'floor'),
+        ask_size: config.BACKTEST.SYNTHETIC_DEPTH / price,
+        bid_size: config.BACKTEST.SYNTHETIC_DEPTH / price,
+      }],
+    };
+  }
+
+  async function getTicker(markets) {
+    ensureInRange();
+    const list = Array.isArray(markets) ? markets : String(markets).split(',');
+    return list.map(tickerAt).filter(Boolean);
+  }
+
+  return {
+    startTime,
+    endTime,
+    getMarkets,
+    filterMarkets: upbit.filterMarkets,
+    getCandles,
+    getCandlesMinutes: (market, unit, count) => getCandles(market, unit, count),
+    getCandlesSeconds: (market, count) => getCandles(market, 1, count),
+    getOrderbook,
+    getTicker,
+  };
+}
+
+// ============================================================
+// LLM 스텁 / 메모리 저장소
+// ============================================================
+
+/**
+ * 결정적 LLM 스텁 생성
+ * 
+ * 기록된 LLM 응답이 있으면 순서대로 반환하고, 없으면 고정 규칙을 사용합니다.
+ * - 페어 선정: 변동률이 양수인 페어 중 변동률 최대 (없으면 진입 안 함)
+ * - 매매가: 최우선 매도호가 매수, config.BACKTEST의 익절/손절 폭 적용
+ * 
+ * @param {object} recorded - 기록된 LLM 응답 (선택)
+ * @returns {object} llm-analyzer.js와 같은 selectBestPair / analyzeTradePrices
+ */
+function createLlmStub(recorded = null) {
+  const queues = {
+    selectBestPair: [...(recorded?.selectBestPair || [])],
+    analyzeTradePrices: [...(recorded?.analyzeTradePrices || [])],
+  };
+
+  async function selectBestPair(pairsData) {
+    const result = queues.selectBestPair.shift();
+    if (result) {
+      // llm-analyzer.js와 같은 기준으로 진입 여부 판단
+      if (result.noEntry === true || result.confidence < 0.5) return null;
+      return result;
+    }
+
+    const best = pairsData
+      .filter(p => p.changeRate > 0)
+      .sort((a, b) => b.changeRate - a.changeRate)[0];
+    if (!best) return null;
+
+    return {
+      noEntry: false,
+      selectedPair: best.market,
+      koreanName: best.koreanName,
+      confidence: 0.6,
+      reason: '스텁: 상승률 최대 페어',
+    };
+  }
+
+  async function analyzeTradePrices(market, koreanName, candles, orderbook, currentPrice) {
+    const result = queues.analyzeTradePrices.shift();
+    if (result) return result;
+
+    const buyPrice = orderbook?.orderbook_units?.[0]?.ask_price || currentPrice;
+    return {
+      buyPrice,
+      takeProfit: buyPrice * (1 + config.BACKTEST.STUB_TAKE_PROFIT_RATE),
+      stopLoss: buyPrice * (1 - config.BACKTEST.STUB_STOP_LOSS_RATE),
+      analysis: '스텁: 고정 익절/손절 폭',
+    };
+  }
+
+  return { selectBestPair, analyzeTradePrices };
+}
+
+/**
+ * 메모리 거래 저장소 생성
+ * 
+ * db.js의 거래 기록/리스크 한도 함수와 같은 형태로, 레코드를 메모리 배열에 보관합니다.
+ * 
+ * @returns {object} db.js 호환 함수 + trades 배열
+ */
+function createMemoryDb() {
+  const trades = [];
+  const riskHalts = [];
+  const levelRejections = [];
+  const marketPolicies = [];
+  const circuitEvents = [];
+  const llmCalls = [];
+  const findTrade = (tradeId) => trades.find(t => t.id === tradeId);
+  const sameMode = (isSimulated) => (t) => !!t.isSimulated === !!isSimulated;
+
+  return {
+    trades,
+    levelRejections,
+    marketPolicies,
+    circuitEvents,
+    llmCalls,
+    async createTrade(data) {
+      const trade = { id: trades.length + 1, ...data, orderStatus: '거래전', createdAt: now() };
+      trades.push(trade);
+      return trade.id;
+    },
+    async updateBuyOrderSent(tradeId, uuid) {
+      Object.assign(findTrade(tradeId), { orderStatus: '매수주문발송', buyOrderUuid: uuid });
+    },
+    async updateBuyComplete(tradeId, data) {
+      Object.assign(findTrade(tradeId), data, { orderStatus: '매수완료' });
+    },
+    async updateTakeProfitOrder(tradeId, uuid) {
+      findTrade(tradeId).takeProfitOrderUuid = uuid;
+    },
+    async updateSellComplete(tradeId, data) {
+      Object.assign(findTrade(tradeId), data, { orderStatus: '매도완료' });
+    },
+    async getRealizedProfits(since, isSimulated) {
+      return trades
+        .filter(sameMode(isSimulated))
+        .filter(t => t.orderStatus === '매도완료' && (!since || t.sellDatetime >= since))
+        .sort((a, b) => a.sellDatetime.localeCompare(b.sellDatetime) || a.id - b.id)
+        .map(t => t.profitAmount);
+    },
+    async countTradesSince(since, isSimulated) {
+      return trades.filter(sameMode(isSimulated)).filter(t => t.buyDatetime && t.buyDatetime >= since).length;
+    },
+    async getActiveRiskHalt(at, isSimulated) {
+      return riskHalts
+        .filter(sameMode(isSimulated))
+        .reverse()
+        .find(h => !h.released_at && (!h.resume_at || h.resume_at > at)) || null;
+    },
+    async createRiskHalt(data) {
+      riskHalts.push({
+        isSimulated: data.isSimulated,
+        limit_type: data.limitType,
+        reason: data.reason,
+        halted_at: data.haltedAt,
+        resume_at: data.resumeAt,
+        released_at: null,
+      });
+    },
+    async releaseRiskHalts(at, isSimulated) {
+      const active = riskHalts.filter(sameMode(isSimulated)).filter(h => !h.released_at);
+      active.forEach(h => Object.assign(h, { released_at: at, released_by: 'manual' }));
+      return active.length;
+    },
+    async getLastRiskReset(isSimulated) {
+      const resets = riskHalts.filter(sameMode(isSimulated)).filter(h => h.released_by === 'manual');
+      return resets.length > 0 ? resets.map(h => h.released_at).sort().pop() : null;
+    },
+    async logLevelRejection(data) {
+      levelRejections.push({ ...data, createdAt: now() });
+    },
+    async getActiveMarketPolicies(at, isSimulated) {
+      return marketPolicies
+        .filter(p => p.is_simulated === null || !!p.is_simulated === !!isSimulated)
+        .filter(p => !p.released_at && (!p.expires_at || p.expires_at > at));
+    },
+    async createMarketPolicy(data) {
+      marketPolicies.push({
+        market: data.market,
+        is_simulated: data.isSimulated,
+        policy: data.policy,
+        reason: data.reason,
+        expires_at: data.expiresAt,
+        released_at: null,
+      });
+    },
+    async releaseMarketPolicies(market, at) {
+      const active = marketPolicies.filter(p => p.market === market && !p.released_at);
+      active.forEach(p => { p.released_at = at; });
+      return active.length;
+    },
+    async getLastMarketRelease(market, isSimulated) {
+      const released = marketPolicies
+        .filter(p => p.market === market && p.released_at)
+        .filter(p => p.is_simulated === null || !!p.is_simulated === !!isSimulated);
+      return released.length > 0 ? released.map(p => p.released_at).sort().pop() : null;
+    },
+    async logCircuitEvent(data) {
+      circuitEvents.push({ ...data, createdAt: now() });
+    },
+    async logLlmCall(data) {
+      llmCalls.push({ id: llmCalls.length + 1, ...data, tradeId: null, createdAt: now() });
+      return llmCalls.length;
+    },
+    async linkLlmCalls(tradeId, callIds) {
+      llmCalls.filter(c => callIds.includes(c.id)).forEach(c => { c.tradeId = tradeId; });
+    },
+    async getLlmUsage(since, isSimulated) {
+      const calls = llmCalls.filter(sameMode(isSimulated)).filter(c => c.calledAt >= since);
+      return {
+        calls: calls.length,
+        tokens: calls.reduce((sum, c) => sum + (c.usage?.inputTokens || 0) + (c.usage?.outputTokens || 0), 0),
+      };
+    },
+    async countMarketLosses(market, since, isSimulated) {
+      return trades
+        .filter(sameMode(isSimulated))
+        .filter(t => t.market === market && t.orderStatus === '매도완료' && t.profitAmount < 0 && t.sellDatetime >= since)
+        .length;
+    },
+  };
+}
+
+// ============================================================
+// 결과 집계
+// ============================================================
+
+/**
+ * 거래 결과 집계
+ * 
+ * 시드머니를 초기 자산으로 보고 매도 완료 순서대로 손익을 누적하여
+ * 승률, 총 손익, 최대 낙폭(MDD)을 계산합니다.
+ * 
+ * @param {array} trades - 메모리 저장소의 거래 레코드
+ * @param {number} initialEquity - 초기 자산 (원)
+ * @returns {object} 거래별 결과 + 집계
+ */
+function summarizeTrades(trades, initialEquity) {
+  const closed = trades.filter(t => t.orderStatus === '매도완료');
+  const wins = closed.filter(t => t.profitAmount > 0);
+
+  let equity = initialEquity;
+  let peak = initialEquity;
+  let maxDrawdown = 0;
+  let maxDrawdownRate = 0;
+  for (const trade of closed) {
+    equity += trade.profitAmount;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    maxDrawdownRate = Math.max(maxDrawdownRate, (peak - equity) / peak * 100);
+  }
+
+  const totalProfit = equity - initialEquity;
+  return {
+    trades: trades.map(t => ({
+      id: t.id,
+      coin: t.coinNameKo,
+      status: t.orderStatus,
+      buyDatetime: t.buyDatetime || null,
+      buyUnitPrice: t.buyUnitPrice ?? null,
+      sellDatetime: t.sellDatetime || null,
+      sellUnitPrice: t.sellUnitPrice ?? null,
+      profitRate: t.profitRate ?? null,
+      profitAmount: t.profitAmount ?? null,
+      exitReason: t.exitReason || null,
+      strategy: t.strategy || null,
+    })),
+    summary: {
+      totalTrades: closed.length,
+      openTrades: trades.length - closed.length,
+      wins: wins.length,
+      losses: closed.length - wins.length,
+      winRate: closed.length > 0 ? wins.length / closed.length * 100 : 0,
+      totalProfit,
+      totalProfitRate: totalProfit / initialEquity * 100,
+      averageProfitRate: closed.length > 0
+        ? closed.reduce((sum, t) => sum + t.profitRate, 0) / closed.length
+        : 0,
+      maxDrawdown,
+      maxDrawdownRate,
+      finalEquity: equity,
+    },
+  };
+}
+
+// ============================================================
+// 백테스트 실행
+// ============================================================
+
+/**
+ * 백테스트 실행
+ * 
+ * trader.js를 재생기/모의거래소/스텁으로 설정하고, 데이터가 끝날 때까지
+ * 메인 루프와 같은 방식으로 runScanCycle() (포트폴리오 모드는 runPortfolio())을 반복합니다.
+ * 
+ * @param {object} options
+ * @param {object} options.dataset - loadDataset() 결과
+ * @param {number} options.seedMoney - 거래당 시드머니 (원)
+ * @param {number} options.maxCycleTime - 사이클 최대 시간 (밀리초)
+ * @param {object} options.llmResponses - 기록된 LLM 응답 (선택)
+ * @param {object} options.llm - LLM 분석 모듈 (선택, 기본값은 createLlmStub(llmResponses))
+ * @returns {Promise<object>} summarizeTrades() 결과
+ */
+async function runBacktest({
+  dataset,
+  seedMoney = config.DEFAULT_SEED_MONEY,
+  maxCycleTime = config.DEFAULT_MAX_CYCLE_TIME,
+  llmResponses = null,
+  llm = null,
+}) {
+  const marketData = createReplayMarketData(dataset);
+  const clock = createVirtualClock(marketData.startTime);
+  const memoryDb = createMemoryDb();
+  const isRunning = () => clock.now() <= marketData.endTime;
+
+  setClock(clock);
+  paperExchange.setMarketDataSource(marketData);
+  paperExchange.resetPaperAccount(Math.max(config.PAPER.INITIAL_KRW, seedMoney * 2));
+  trader.configure({
+    seedMoney,
+    maxCycleTime,
+    paperMode: true,
+    exchange: paperExchange,
+    llm: llm || createLlmStub(llmResponses),
+    db: memoryDb,
+    notion: { saveTradeToNotion: async () => null },
+    isRunning,
+  });
+
+  log('info', `백테스트 시작: ${new Date(marketData.startTime).toISOString()} ~ ${new Date(marketData.endTime).toISOString()}`);
+
+  try {
+    while (isRunning()) {
+      try {
+        if (config.PORTFOLIO.MAX_POSITIONS > 1) {
+          await trader.runPortfolio();
+        } else {
+          await trader.runScanCycle();
+        }
+      } catch (cycleError) {
+        if (!isRunning()) break;
+        if (errorAction(cycleError) === ERROR_ACTION.HALT) {
+          log('error', `백테스트 중지: ${cycleError.message}`);
+          break;
+        }
+        log('error', `사이클 오류: ${cycleError.message}`);
+        await sleep(60000);
+      }
+    }
+  } finally {
+    // 다른 코드에 영향이 없도록 실시간 설정으로 복구
+    setClock(null);
+    paperExchange.setMarketDataSource(upbit);
+  }
+
+  return summarizeTrades(memoryDb.trades, seedMoney);
+}
+
+// ============================================================
+// 시세 기록
+// ============================================================
+
+/**
+ * 실시간 시세 기록
+ * 
+ * 지정한 시간 동안 캔들/호가/현재가를 주기적으로 수집하여 데이터 파일로 저장합니다.
+ * 마켓을 지정하지 않으면 scanPairs() 결과 중 상위 10개를 기록합니다.
+ * 
+ * @param {string} outFile - 출력 파일 경로
+ * @param {number} minutes - 기록 시간 (분)
+ * @param {array} marketCodes - 기록할 마켓 코드 목록 (선택)
+ */
+async function recordDataset(outFile, minutes, marketCodes = []) {
+  const markets = await upbit.getMarkets();
+  const targets = marketCodes.length > 0
+    ? markets.filter(m => marketCodes.includes(m.market))
+    : (await trader.scanPairs()).slice(0, 10);
+
+  const dataset = { candleType: config.SCAN.CANDLE_TYPE, markets: targets, candles: {}, orderbooks: {}, tickers: {} };
+  const seenCandles = {};
+  for (const m of targets) {
+    dataset.candles[m.market] = [];
+    dataset.orderbooks[m.market] = [];
+    dataset.tickers[m.market] = [];
+    seenCandles[m.market] = new Set();
+  }
+
+  log('info', `시세 기록 시작: ${targets.map(m => m.market).join(', ')} (${minutes}분)`);
+  const endTime = Date.now() + minutes * 60 * 1000;
+
+  while (Date.now() < endTime) {
+    try {
+      const tickers = await upbit.getTicker(targets.map(m => m.market));
+      for (const ticker of tickers) {
+        dataset.tickers[ticker.market]?.push({ ...ticker, timestamp: Date.now() });
+      }
+
+      for (const m of targets) {
+        const [candles, orderbook] = await Promise.all([
+          upbit.getCandles(m.market, config.SCAN.CANDLE_UNIT, config.SCAN.CANDLE_COUNT, config.SCAN.CANDLE_TYPE),
+          upbit.getOrderbook(m.market),
+        ]);
+
+        // 캔들은 시작 시각 기준으로 중복 제거
+        for (const candle of candles) {
+          if (!seenCandles[m.market].has(candle.candle_date_time_utc)) {
+            seenCandles[m.market].add(candle.candle_date_time_utc);
+            dataset.candles[m.market].push(candle);
+          }
+        }
+        dataset.orderbooks[m.market].push({ ...orderbook, timestamp: Date.now() });
+      }
+    } catch (e) {
+      log('error', `시세 기록 실패: ${e.message}`);
+    }
+
+    await sleep(config.BACKTEST.RECORD_INTERVAL);
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(outFile)), { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify(dataset));
+  log('success', `시세 기록 저장 완료: ${outFile}`);
+}
+
+// ============================================================
+// CLI 실행
+// ============================================================
+
+/**
+ * 백테스트 결과 출력
+ * 
+ * @param {object} report - summarizeTrades() 결과
+ */
+function printReport(report) {
+  const s = report.summary;
+  console.log('\n━━━━━━━━━━━━━━━━━━━━ 📊 백테스트 결과 ━━━━━━━━━━━━━━━━━━━━');
+  console.table(report.trades);
+  console.log(`거래 수: ${s.totalTrades}회 (미청산 ${s.openTrades}건)`);
+  console.log(`승/패: ${s.wins}승 ${s.losses}패 (승률 ${s.winRate.toFixed(1)}%)`);
+  console.log(`총 손익: ${Math.round(s.totalProfit).toLocaleString()}원 (${s.totalProfitRate.toFixed(2)}%)`);
+  console.log(`평균 수익률: ${s.averageProfitRate.toFixed(2)}%`);
+  console.log(`최대 낙폭: ${Math.round(s.maxDrawdown).toLocaleString()}원 (${s.maxDrawdownRate.toFixed(2)}%)`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+}
+
+async function cli() {
+  const argv = process.argv.slice(2);
+  const flags = Object.fromEntries(
+    argv.filter(a => a.startsWith('--')).map(a => a.slice(2).split('='))
+  );
+  const args = argv.filter(a => !a.startsWith('--'));
+
+  if (args[0] === 'record') {
+    await recordDataset(args[1], parseFloat(args[2] || '60'), args.slice(3));
+    return;
+  }
+
+  if (!args[0]) {
+    console.log('사용법: node backtest.js <데이터파일> [시드머니] [--llm=<LLM응답파일>] [--analyzer] [--out=<결과파일>]');
+    console.log('        node backtest.js record <출력파일> <기록분> [마켓코드...]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const report = await runBacktest({
+    dataset: loadDataset(args[0]),
+    seedMoney: args[1] ? parseInt(args[1]) : config.DEFAULT_SEED_MONEY,
+    llmResponses: flags.llm ? JSON.parse(fs.readFileSync(flags.llm, 'utf-8')) : null,
+    llm: 'analyzer' in flags ? llmAnalyzer : null,
+  });
+
+  printReport(report);
+  if (flags.out) {
+    fs.writeFileSync(flags.out, JSON.stringify(report, null, 2));
+    log('success', `백테스트 결과 저장: ${flags.out}`);
+  }
+}
+
+if (require.main === module) {
+  cli().catch(e => {
+    log('error', `백테스트 실패: ${e.message}`);
+    process.exitCode = 1;
+  });
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  createVirtualClock,
+  loadDataset,
+  createReplayMarketData,
+  createLlmStub,
+  createMemoryDb,
+  summarizeTrades,
+  runBacktest,
+  recordDataset,
+};
@@ -0,0 +1,164 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 시장 전체 서킷브레이커
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * KRW 마켓 전체가 급락할 때 신규 진입을 막습니다 (선택적으로 보유 포지션 청산).
+ * 
+ * 판단 기준 (config.CIRCUIT_BREAKER, 최근 WINDOW 동안의 변화):
+ * - KRW-BTC 하락률이 BTC_DROP_RATE% 이상
+ * - BREADTH_DROP_RATE% 넘게 하락한 KRW 마켓 비율이 BREADTH_RATIO% 이상 (BREADTH_MIN_MARKETS개 이상 비교했을 때)
+ * 
+ * 전체 KRW 마켓 현재가(getMarkets + getTicker)를 CHECK_INTERVAL마다 받아 메모리에 쌓고,
+ * WINDOW 전 가격과 비교합니다. 재시작 직후처럼 기록이 짧으면 가장 오래된 기록과 비교합니다.
+ * 
+ * 발동 후 MIN_TRIP_TIME이 지나고 두 지표가 모두 해제 기준(RESUME_*) 아래로 내려오면 자동 해제합니다.
+ * 발동/해제는 circuit_breaker_events 테이블에 기록합니다.
+ * ============================================================
+ */
+
+const config = require('./config');
+const { log, now } = require('./utils');
+
+// 이벤트 종류 (circuit_breaker_events.event)
+const CIRCUIT_EVENT = {
+  TRIP: 'trip',
+  RESUME: 'resume',
+};
+
+/**
+ * 기록 기준 시장 지표 계산
+ * 
+ * @param {Map} base - WINDOW 전 가격 (마켓 → 가격)
+ * @param {Map} latest - 최신 가격 (마켓 → 가격)
+ * @returns {object} { btcChange, fallingRatio, marketCount } (btcChange: %, KRW-BTC가 없으면 null / fallingRatio: %)
+ */
+function measureMarket(base, latest) {
+  let compared = 0;
+  let falling = 0;
+  for (const [market, price] of latest) {
+    const basePrice = base.get(market);
+    if (!basePrice) continue;
+    compared++;
+    if ((price - basePrice) / basePrice * 100 <= -config.CIRCUIT_BREAKER.BREADTH_DROP_RATE) falling++;
+  }
+
+  const btcBase = base.get('KRW-BTC');
+  const btcLatest = latest.get('KRW-BTC');
+  return {
+    btcChange: btcBase && btcLatest ? (btcLatest - btcBase) / btcBase * 100 : null,
+    fallingRatio: compared > 0 ? falling / compared * 100 : 0,
+    marketCount: compared,
+  };
+}
+
+/**
+ * 서킷브레이커 생성
+ * 
+ * @param {object} options
+ * @param {object} options.exchange - 거래소 모듈 (getMarkets, getTicker)
+ * @param {object} options.db - 거래 기록 저장소 (logCircuitEvent)
+ * @param {boolean} options.isSimulated - 모의거래 여부 (이벤트 기록용)
+ * @returns {object} 서킷브레이커 { check, isTripped }
+ * 
+ * @example
+ * const breaker = createCircuitBreaker({ exchange: upbit, db, isSimulated: false });
+ * const state = await breaker.check();
+ * if (state.tripped) log('warn', state.reason);
+ */
+function createCircuitBreaker({ exchange, db, isSimulated }) {
+  const history = [];  // [{ time, prices: Map }] 오래된 순
+  let lastCheck = 0;
+  let pending = null;  // 진행 중인 조회 (동시 포지션이 같은 조회를 기다리도록)
+  let state = { tripped: false, reason: null, since: null };
+
+  /**
+   * 전체 KRW 마켓 현재가 기록
+   */
+  async function sample() {
+    const markets = await exchange.getMarkets();
+    const tickers = await exchange.getTicker(markets.map(m => m.market));
+    const time = now();
+    history.push({ time, prices: new Map(tickers.map(t => [t.market, t.trade_price])) });
+
+    // WINDOW보다 오래된 기록은 비교 기준 하나만 남기고 정리
+    while (history.length > 2 && history[1].time <= time - config.CIRCUIT_BREAKER.WINDOW) {
+      history.shift();
+    }
+  }
+
+  /**
+   * 발동/해제 판단 및 이벤트 기록
+   */
+  async function evaluate() {
+    const {
+      BTC_DROP_RATE, BREADTH_RATIO, BREADTH_MIN_MARKETS, RESUME_BTC_DROP_RATE, RESUME_BREADTH_RATIO, MIN_TRIP_TIME,
+    } = config.CIRCUIT_BREAKER;
+    const metrics = measureMarket(history[0].prices, history[history.length - 1].prices);
+    const btcDrop = metrics.btcChange === null ? 0 : -metrics.btcChange;
+    const fallingRatio = metrics.marketCount >= BREADTH_MIN_MARKETS ? metrics.fallingRatio : 0;
+    const summary = `BTC ${metrics.btcChange === null ? '-' : `${metrics.btcChange.toFixed(2)}%`}, `
+      + `하락 마켓 ${metrics.fallingRatio.toFixed(1)}% (${metrics.marketCount}개 중)`;
+
+    if (!state.tripped) {
+      const reasons = [];
+      if (BTC_DROP_RATE > 0 && btcDrop >= BTC_DROP_RATE) reasons.push(`BTC 하락 ${btcDrop.toFixed(2)}% ≥ ${BTC_DROP_RATE}%`);
+      if (BREADTH_RATIO > 0 && fallingRatio >= BREADTH_RATIO) reasons.push(`하락 마켓 ${fallingRatio.toFixed(1)}% ≥ ${BREADTH_RATIO}%`);
+      if (reasons.length === 0) return;
+
+      state = { tripped: true, reason: reasons.join(', '), since: now() };
+      log('error', `🛑 서킷브레이커 발동: ${state.reason} (${summary})`);
+      await db.logCircuitEvent({ event: CIRCUIT_EVENT.TRIP, reason: state.reason, ...metrics, isSimulated });
+      return;
+    }
+
+    const calm = btcDrop < RESUME_BTC_DROP_RATE && fallingRatio < RESUME_BREADTH_RATIO;
+    if (calm && now() - state.since >= MIN_TRIP_TIME) {
+      log('success', `서킷브레이커 해제: ${summary}`);
+      await db.logCircuitEvent({ event: CIRCUIT_EVENT.RESUME, reason: summary, ...metrics, isSimulated });
+      state = { tripped: false, reason: null, since: null };
+    }
+  }
+
+  /**
+   * 시장 상태 확인 (CHECK_INTERVAL 안에 다시 호출하면 마지막 상태 반환)
+   * 
+   * @returns {Promise<object>} { tripped, reason, since }
+   */
+  async function check() {
+    if (!config.CIRCUIT_BREAKER.ENABLED) return state;
+    if (pending) return pending;
+    if (lastCheck && now() - lastCheck < config.CIRCUIT_BREAKER.CHECK_INTERVAL) return state;
+
+    pending = (async () => {
+      try {
+        await sample();
+        await evaluate();
+      } catch (error) {
+        // 조회 실패 시 마지막 상태 유지 (다음 확인 때 다시 시도)
+        log('error', `서킷브레이커 시세 조회 실패: ${error.message}`);
+      } finally {
+        lastCheck = now();
+        pending = null;
+      }
+      return state;
+    })();
+    return pending;
+  }
+
+  return {
+    check,
+    isTripped: () => state.tripped,
+  };
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  CIRCUIT_EVENT,
+  createCircuitBreaker,
+};
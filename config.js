@@ -31,11 +31,55 @@ module.exports = {
   // 발급: https://upbit.com/mypage/open_api_management
   UPBIT: {
     REST_URL: 'https://api.upbit.com/v1',      // REST API 기본 URL
-    WS_URL: 'wss://api.upbit.com/websocket/v1', // WebSocket URL (향후 실시간 기능용)
+    WS_URL: 'wss://api.upbit.com/websocket/v1', // WebSocket URL (실시간 시세)
     ACCESS_KEY: process.env.UPBIT_ACCESS_KEY,   // API 접근 키
     SECRET_KEY: process.env.UPBIT_SECRET_KEY,   // API 비밀 키
   },
 
+  // ========================================
+  // 요청 속도 제한 (rate-limiter.js)
+  // ========================================
+  // 업비트 그룹별 초당 최대 호출 수 - Remaining-Req 헤더로 실시간 보정
+  RATE_LIMIT: {
+    GROUP_LIMITS: {
+      market: 10,      // 마켓 목록
+      candles: 10,     // 캔들
+      orderbook: 10,   // 호가
+      ticker: 10,      // 현재가
+      trades: 10,      // 체결 내역
+      order: 8,        // 주문 생성/취소
+      default: 30,     // 그 외 (잔고, 주문 조회 등)
+    },
+    BACKOFF_BASE: 1000,   // 429 응답 시 최초 대기 (밀리초, 연속 발생 시 2배)
+    BACKOFF_MAX: 10000,   // 429 백오프 최대 대기 (밀리초)
+    MAX_RETRIES: 5,       // 429 재전송 최대 횟수
+  },
+
+  // ========================================
+  // 재시도 정책 (errors.js)
+  // ========================================
+  // 일시적 오류(네트워크, 429, 5xx)만 재시도 - 주문 생성은 중복 주문 확인 후 재전송
+  RETRY: {
+    MAX_ATTEMPTS: 3,          // 조회/취소 요청 최대 시도 횟수
+    ORDER_MAX_ATTEMPTS: 2,    // 주문 생성 최대 시도 횟수
+    BASE_DELAY: 500,          // 최초 재시도 대기 (밀리초, 실패마다 2배)
+    MAX_DELAY: 5000,          // 재시도 최대 대기 (밀리초)
+    REQUEST_TIMEOUT: 10000,   // 요청 1회 응답 제한 시간 (밀리초)
+  },
+
+  // ========================================
+  // WebSocket 실시간 시세 설정
+  // ========================================
+  // 익절/손절 모니터링에서 REST 현재가 폴링 대신 사용 (upbit-ws.js)
+  WS: {
+    ENABLED: true,                 // 실시간 시세 사용 여부 (false면 REST 폴링)
+    HEARTBEAT_INTERVAL: 30000,     // PING 전송 간격 (밀리초)
+    HEARTBEAT_TIMEOUT: 90000,      // 무응답 허용 시간 - 초과 시 재접속 (밀리초)
+    RECONNECT_BASE_DELAY: 1000,    // 재접속 최초 대기 (밀리초, 실패마다 2배)
+    RECONNECT_MAX_DELAY: 30000,    // 재접속 최대 대기 (밀리초)
+    TICK_TIMEOUT: 5000,            // 틱 대기 최대 시간 - 초과 시 REST로 현재가 조회 (밀리초)
+  },
+
   // ========================================
   // MySQL (Local DB) 설정
   // ========================================
@@ -60,12 +104,23 @@ module.exports = {
   },
 
   // ========================================
-  // LLM 설정 (Gemini / Claude 선택 가능)
+  // LLM 설정 (llm-providers.js)
   // ========================================
   // LLM을 통한 시장 분석 및 매매가 산출
-  // 현재 사용: Gemini (비용 효율적)
+  // PROVIDER가 에러/타임아웃이면 FALLBACK 순서로 전환 (API 키가 없는 provider는 건너뜀)
+  // 등록된 provider: 'gemini', 'claude', 'openai'(OpenAI 호환), 'ollama'(로컬), 'stub'(오프라인 스텁) - registerProvider()로 추가 가능
+  // 환경변수: LLM_PROVIDER, LLM_FIXTURE_MODE, LLM_FIXTURE_FILE
   LLM: {
-    PROVIDER: 'gemini',  // 'gemini' 또는 'claude'
+    PROVIDER: process.env.LLM_PROVIDER || 'gemini',  // 기본 provider
+    FALLBACK: ['claude'],   // 실패 시 순서대로 시도
+    MAX_REPAIR_ATTEMPTS: 2, // 응답이 스키마(llm-schema.js)에 맞지 않을 때 오류를 알려주고 다시 요청하는 횟수
+
+    // 요청/응답 기록·재생 (llm-fixtures.js) - 프롬프트 해시로 응답을 찾아 네트워크 없이 같은 결과 재현
+    FIXTURES: {
+      MODE: process.env.LLM_FIXTURE_MODE || 'off',  // 'off' | 'record'(응답 저장) | 'replay'(저장된 응답만 사용)
+      FILE: process.env.LLM_FIXTURE_FILE || 'data/llm-fixtures.json',
+      ON_MISS: 'error',     // replay 중 저장된 응답이 없을 때: 'error'(호출 실패) | 'stub'(스텁 provider로 응답)
+    },
   },
 
   // Gemini API 설정
@@ -73,6 +128,10 @@ module.exports = {
   GEMINI: {
     API_KEY: process.env.GEMINI_KEY,
     MODEL: 'gemini-3-flash-preview',  // Gemini 3 Flash Preview (2026년 최신)
+    TEMPERATURE: 0.7,
+    MAX_TOKENS: 4096,       // 응답 잘림 방지를 위해 증가
+    TIMEOUT: 30 * 1000,     // 응답 대기 한도 (밀리초, 넘으면 다음 provider)
+    JSON_MODE: true,        // 네이티브 JSON 출력 사용 (responseJsonSchema)
   },
 
   // Claude API 설정 (백업용)
@@ -80,6 +139,67 @@ module.exports = {
   CLAUDE: {
     API_KEY: process.env.CLAUDE_KEY,
     MODEL: 'claude-opus-4-5-20251101',
+    TEMPERATURE: 1.0,
+    MAX_TOKENS: 2048,
+    TIMEOUT: 60 * 1000,
+  },
+
+  // OpenAI 호환 API 설정 (BASE_URL로 vLLM, LM Studio 등 호환 서버 지정 가능)
+  // 환경변수: OPENAI_KEY, OPENAI_BASE_URL
+  OPENAI: {
+    API_KEY: process.env.OPENAI_KEY,
+    BASE_URL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    MODEL: 'gpt-4o-mini',
+    TEMPERATURE: 0.7,
+    MAX_TOKENS: 2048,
+    TIMEOUT: 30 * 1000,
+    JSON_MODE: true,        // response_format json_schema (지원하지 않는 호환 서버는 false)
+  },
+
+  // 로컬 Ollama 스타일 서버 설정 (/api/chat)
+  // 환경변수: OLLAMA_URL
+  OLLAMA: {
+    BASE_URL: process.env.OLLAMA_URL || 'http://localhost:11434',
+    MODEL: 'llama3.1',
+    TEMPERATURE: 0.7,
+    MAX_TOKENS: 2048,
+    TIMEOUT: 120 * 1000,    // 로컬 모델은 느릴 수 있음
+    JSON_MODE: true,        // format에 스키마 지정 (구조화 출력을 지원하지 않는 서버는 false)
+  },
+
+  // 오프라인 스텁 provider 설정 (네트워크 없이 정해진 결정 반환)
+  // 환경변수: LLM_STUB_SCRIPT
+  // 스크립트 파일: { "pair_selection": [응답...], "trade_prices": [응답...] } - 작업별로 순서대로 사용, 다 쓰면 기본 규칙
+  // 기본 규칙: 상승률 최대 페어 선정, 매도 1호가 매수 + config.BACKTEST 익절/손절 폭
+  STUB: {
+    SCRIPT: process.env.LLM_STUB_SCRIPT || null,
+    MODEL: 'stub',
+    TIMEOUT: 5 * 1000,
+  },
+
+  // ========================================
+  // 매매 전략 (rule-strategy.js)
+  // ========================================
+  // 페어 선정과 매수가/익절가/손절가를 정하는 방법
+  // - 'llm': LLM 분석 (llm-analyzer.js)
+  // - 'rule': 지표(RSI, MACD, 볼린저 위치) + 호가 잔량 규칙 (LLM 호출 없음, 같은 데이터면 같은 결과)
+  // 환경변수: TRADING_STRATEGY
+  STRATEGY: {
+    PRIMARY: process.env.TRADING_STRATEGY || 'llm',  // 기본 전략
+    FALLBACK_TO_RULE: true,     // LLM 호출이 실패하면(모든 provider 실패, 응답 형식 오류) 규칙 전략으로 대신 판단
+    LLM_DAILY_CALL_LIMIT: 0,    // 하루(KST) LLM 호출 수 한도 - 넘으면 규칙 전략 사용 (실패한 호출 포함, 0 = 제한 없음)
+    LLM_DAILY_TOKEN_LIMIT: 0,   // 하루(KST) LLM 입력+출력 토큰 한도 (0 = 제한 없음)
+
+    // 규칙 전략 (하락 추세 - 변동률 음수 또는 MACD 음수 - 페어는 항상 제외)
+    RULE: {
+      RSI_MIN: 45,              // 진입 RSI 하한 (이보다 낮으면 추세 약함)
+      RSI_MAX: 70,              // 진입 RSI 상한 (이보다 높으면 과매수)
+      MAX_BB_POSITION: 90,      // 볼린저 밴드 내 현재가 위치 상한 (%, 0 = 하단, 100 = 상단)
+      MIN_SCORE: 0.5,           // 진입 점수 하한 (0~1, 점수는 선정 신뢰도로 사용)
+      STOP_ATR_MULTIPLE: 1.5,   // 손절 폭 = ATR × 배수
+      MIN_STOP_RATE: 0.5,       // 최소 손절 폭 (매수가 대비 %, ATR이 작거나 없을 때)
+      REWARD_RISK: 1.5,         // 익절 폭 = 손절 폭 × 배수
+    },
   },
 
   // ========================================
@@ -98,6 +218,167 @@ module.exports = {
   TRADE: {
     FEE_RATE: 0.0005,       // 업비트 수수료율 (0.05%)
     ORDER_TIMEOUT: 60000,   // 주문 체결 대기 시간 (밀리초) - 초과 시 시장가 전환
+    MIN_ORDER_TOTAL: 5000,  // 최소 주문금액 (원) - 모의거래소 기준, 실거래는 getOrderChance 값 사용
+    TAKE_PROFIT_CHECK_INTERVAL: 5000,  // 익절 지정가 주문 체결 확인 간격 (밀리초)
+    SETTLE_TIMEOUT: 10000,      // 주문 확정(done/cancel) 대기 최대 시간 (밀리초)
+    SETTLE_POLL_INTERVAL: 500,  // 주문 확정 조회 간격 (밀리초)
+  },
+
+  // ========================================
+  // 마켓별 거래 정책 (market-policy.js)
+  // ========================================
+  // 스캔 단계에서 LLM 호출 전에 적용 - 수동 목록은 node index.js --allow= / --deny= / --clear-market=로도 관리 (DB 저장)
+  MARKET_POLICY: {
+    ENABLED: true,
+    ALLOW: [],                         // 허용 목록 (비어 있지 않으면 이 마켓만 거래, 예: ['KRW-BTC'])
+    DENY: [],                          // 차단 목록 (예: ['KRW-XRP'])
+    COOLDOWN_TIME: 30 * 60 * 1000,     // 손실 후 같은 마켓 재진입 금지 시간 (밀리초, 0 = 사용 안 함)
+    BAN_AFTER_LOSSES: 3,               // BAN_WINDOW 안에 이 횟수만큼 손실하면 영구 차단 (0 = 사용 안 함)
+    BAN_WINDOW: 7 * 24 * 60 * 60 * 1000,  // 영구 차단 손실 집계 기간 (밀리초)
+  },
+
+  // ========================================
+  // 호가 유동성 (liquidity.js)
+  // ========================================
+  // 계획 매수 금액으로 호가를 따라 시장가 매수/긴급 매도 체결을 추정 - 한도 초과 페어는 후보에서 제외
+  LIQUIDITY: {
+    ENABLED: true,
+    MAX_SPREAD_RATE: 0.5,       // 1호가 스프레드 한도 (중간가 대비 %)
+    MAX_BUY_SLIPPAGE: 0.3,      // 시장가 매수 추정 슬리피지 한도 (매도 1호가 대비 %)
+    MAX_SELL_SLIPPAGE: 0.5,     // 긴급 시장가 매도 추정 슬리피지 한도 (매수 1호가 대비 %)
+    MIN_DEPTH_MULTIPLE: 3,      // 양쪽 호가 잔량 합계가 계획 매수 금액의 몇 배 이상이어야 하는지
+  },
+
+  // ========================================
+  // LLM 매매가 검증 (trade-guard.js)
+  // ========================================
+  // 주문 전에 LLM 매수가/익절가/손절가를 검사 - 거부 시 거래하지 않고 trade_level_rejections에 기록
+  TRADE_GUARD: {
+    MAX_BUY_DEVIATION: 1,       // 매수가와 현재가의 최대 차이 (%)
+    MIN_PROFIT_MARGIN: 0.1,     // 익절 시 수수료를 뺀 최소 수익률 (%)
+    MIN_REWARD_RISK: 1.0,       // 수수료 포함 최소 손익비 (익절 수익 / 손절 손실)
+    MAX_STOP_DISTANCE: 3,       // 매수가 대비 최대 손절 폭 (%)
+    CLAMP_STOP_LOSS: true,      // 손절 폭 초과 시 true: 손절가를 올려서 거래, false: 거부
+  },
+
+  // ========================================
+  // 포지션 크기 (position-sizer.js)
+  // ========================================
+  // 거래 1회 매수 금액 - 최소 주문금액 이상, 주문 가능 잔고 이하로 조정됨
+  SIZING: {
+    POLICY: 'fixed',          // 'fixed' | 'fraction' | 'risk' | 'confidence'
+    BALANCE_FRACTION: 0.2,    // fraction: KRW 잔고 대비 매수 비율
+    RISK_PER_TRADE: 1,        // risk: 손절 시 손실 한도 (KRW 잔고 대비 %)
+    MIN_CONFIDENCE: 0.5,      // confidence: 이 신뢰도 미만이면 진입 안 함 (매수 금액 = 시드머니 × 신뢰도)
+    MAX_ORDER_KRW: null,      // 거래당 최대 매수 금액 (원, null이면 제한 없음)
+  },
+
+  // ========================================
+  // 포트폴리오 (portfolio.js)
+  // ========================================
+  // 여러 마켓 동시 거래 - MAX_POSITIONS가 1이면 기존처럼 한 페어씩 거래
+  PORTFOLIO: {
+    MAX_POSITIONS: 1,                 // 최대 동시 포지션 수 (포지션당 자금 = 시드머니 / 포지션 수)
+    MAX_EXPOSURE_RATE: 1.0,           // 동시에 배정할 수 있는 자금 (시드머니 대비 비율)
+    SCAN_INTERVAL: 5 * 60 * 1000,     // 빈 자리 채우기 위한 스캔 간격 (밀리초)
+    STOP_CHECK_INTERVAL: 1000,        // 스캔 대기 중 중지/HALT/포지션 종료 확인 간격 (밀리초)
+    STATUS_INTERVAL: 60 * 1000,       // 보유 포지션 상태 로그 간격 (밀리초, 포지션이 여럿이면 한 줄 덮어쓰기 대신 마켓별 로그)
+  },
+
+  // ========================================
+  // 청산 전략 (exit-strategy.js)
+  // ========================================
+  // LLM 익절가/손절가에 더해 보유 중 손절선/익절가를 옮기는 규칙 (기본값은 모두 꺼짐 = 고정 익절/손절)
+  // 시간 청산은 기본으로 사이클 마감에만 적용
+  EXIT: {
+    TRAILING_MODE: 'off',           // 트레일링 스탑 ('off' | 'percent' | 'atr')
+    TRAILING_ACTIVATION: 0.3,       // 트레일링 시작 수익률 (%) - 최고가 기준
+    TRAILING_PERCENT: 0.5,          // percent 모드: 최고가 대비 하락폭 (%)
+    TRAILING_ATR_MULTIPLIER: 2,     // atr 모드: 최고가 - ATR × 배수
+    ATR_PERIOD: 14,                 // ATR 계산 캔들 수 (config.SCAN 캔들 단위)
+    BREAK_EVEN_TRIGGER: 0,          // 이 수익률(%) 도달 시 손절선을 본전가로 (0 = 사용 안 함)
+    BREAK_EVEN_OFFSET: 0,           // 본전가에 더할 여유 (%) - 수수료는 이미 포함
+    RATCHET_TAKE_PROFIT: false,     // 익절가 상향 사용 여부
+    RATCHET_TRIGGER: 0.8,           // 매수가→익절가 구간의 이 비율을 넘으면 익절가 상향
+    RATCHET_STEP: 0.5,              // 익절가 상향 폭 (%)
+    RATCHET_MAX: 3,                 // 거래당 최대 상향 횟수
+    MAX_HOLD_TIME: 0,               // 거래당 최대 보유 시간 (밀리초, 0 = 사용 안 함) - 초과 시 시장가 청산
+    CYCLE_DEADLINE: true,           // 사이클 마감(MAX_CYCLE_TIME) 시 보유 중인 포지션 청산
+    DEADLINE_ACTION: 'close',       // 'close': 기한에 시장가 청산, 'tighten': 기한 TIGHTEN_BEFORE 전부터 손절선을 조이고 기한에 청산
+    TIGHTEN_BEFORE: 5 * 60 * 1000,  // tighten: 기한 몇 밀리초 전부터 손절선을 조일지
+    TIGHTEN_STOP_PERCENT: 0.2,      // tighten: 현재가 대비 손절선 거리 (%)
+  },
+
+  // ========================================
+  // 계좌 리스크 한도 (risk-guard.js)
+  // ========================================
+  // trades 테이블의 실현 손익 기준 - 한도에 걸리면 신규 진입 중지 (DB에 저장되어 재시작해도 유지)
+  // 하루 한도는 KST 자정에 자동 해제, 낙폭 한도는 node index.js --reset-risk로 수동 해제
+  RISK: {
+    ENABLED: true,
+    BASE_EQUITY: null,          // 기준 자산 (원, null이면 시드머니)
+    MAX_DAILY_LOSS_RATE: 5,     // KST 하루 실현 손실 한도 (기준 자산 대비 %, 0 = 사용 안 함)
+    MAX_DRAWDOWN_RATE: 10,      // 최고 자산 대비 낙폭 한도 (%, 0 = 사용 안 함)
+    MAX_DAILY_TRADES: 50,       // KST 하루 최대 거래 횟수 (0 = 사용 안 함)
+    CHECK_INTERVAL: 5 * 60 * 1000,  // 중지 중 재확인 간격 (밀리초)
+  },
+
+  // ========================================
+  // 시장 전체 서킷브레이커 (circuit-breaker.js)
+  // ========================================
+  // KRW-BTC와 전체 KRW 마켓 하락 비율로 급락장 판단 - 발동 중에는 신규 진입 중지, 조건이 풀리면 자동 해제
+  CIRCUIT_BREAKER: {
+    ENABLED: true,
+    WINDOW: 15 * 60 * 1000,         // 비교 구간 (밀리초)
+    CHECK_INTERVAL: 60 * 1000,      // 전체 마켓 현재가 조회 간격 (밀리초)
+    BTC_DROP_RATE: 3,               // 발동: 구간 내 KRW-BTC 하락률 (%, 0 = 사용 안 함)
+    BREADTH_DROP_RATE: 2,           // 이 비율(%) 넘게 하락한 마켓을 '하락 마켓'으로 셈
+    BREADTH_RATIO: 70,              // 발동: 하락 마켓 비율 (%, 0 = 사용 안 함)
+    BREADTH_MIN_MARKETS: 20,        // 하락 마켓 비율은 비교한 마켓이 이 수 이상일 때만 사용
+    RESUME_BTC_DROP_RATE: 1.5,      // 해제: KRW-BTC 하락률이 이 값 미만
+    RESUME_BREADTH_RATIO: 40,       // 해제: 하락 마켓 비율이 이 값 미만
+    MIN_TRIP_TIME: 10 * 60 * 1000,  // 발동 후 최소 유지 시간 (밀리초)
+    FORCE_EXIT: false,              // 발동 시 보유 포지션 시장가 청산 여부
+  },
+
+  // ========================================
+  // 잔고 원장 (ledger.js)
+  // ========================================
+  // 매수 전 KRW 예약(동시 포지션 간 중복 사용 방지), 매도 전 봇 보유 수량/거래소 잔고 확인
+  // 봇이 매수한 수량만 매도하므로 직접 보유한 코인은 건드리지 않음
+  LEDGER: {
+    ENABLED: true,
+  },
+
+  // ========================================
+  // 재시작 복구 설정
+  // ========================================
+  // 시작 시 매수주문발송/매수완료 상태로 남은 거래를 거래소와 대조해 이어서 관리
+  RECOVERY: {
+    ENABLED: true,
+    POLICY: process.env.RECOVERY_POLICY || 'resume',  // 'resume': 저장된 익절/손절가로 모니터링 재개, 'close': 즉시 시장가 청산
+  },
+
+  // ========================================
+  // 모의거래 (Paper Trading)
+  // ========================================
+  // 실제 주문 대신 paper-exchange.js의 가상 원장으로 체결
+  // 실행 시 --paper 플래그 또는 환경변수 PAPER_TRADING=true로 활성화
+  PAPER: {
+    ENABLED: process.env.PAPER_TRADING === 'true',  // 모의거래 모드 여부
+    INITIAL_KRW: 1000000,   // 모의 계좌 초기 KRW 잔고 (원)
+  },
+
+  // ========================================
+  // 백테스트
+  // ========================================
+  // backtest.js에서 기록된 시세를 재생할 때 사용
+  BACKTEST: {
+    SYNTHETIC_SPREAD: 0.001,      // 호가 스냅샷이 없을 때 합성 호가 스프레드 (0.1%)
+    SYNTHETIC_DEPTH: 1e9,         // 합성 호가 잔량 (원, 사실상 무제한)
+    STUB_TAKE_PROFIT_RATE: 0.01,  // LLM 스텁 익절 폭 (1%)
+    STUB_STOP_LOSS_RATE: 0.007,   // LLM 스텁 손절 폭 (0.7%)
+    RECORD_INTERVAL: 5000,        // 시세 기록 간격 (밀리초)
   },
 
   // ========================================
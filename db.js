@@ -12,20 +12,59 @@
  * 테이블 구조 (upbit_trade.trades):
  * - id: 자동 증가 PK
  * - coin_name_ko: 한글 코인명
+ * - market: 마켓 코드 (예: KRW-BTC)
  * - llm_analysis_buy_price: LLM 분석 매수가
  * - llm_analysis_take_profit: LLM 분석 익절가
  * - llm_analysis_stop_loss: LLM 분석 손절가
- * - order_status: 주문 상태 (거래전, 매수주문발송, 매수완료, 매도완료)
+ * - order_status: 주문 상태 (거래전, 매수주문발송, 매수완료, 매도완료, 매수취소, 복구불가)
+ * - buy_order_uuid: 지정가 매수 주문 UUID
  * - system_version: 시스템 버전
  * - buy_total_amount: 매수 총액
  * - buy_datetime: 매수 일시
- * - buy_unit_price: 매수 단가
+ * - buy_unit_price: 매수 단가 (여러 주문에 나눠 체결되면 평균 단가)
+ * - buy_volume: 매수 체결 수량
+ * - buy_fee: 매수 수수료 (원)
  * - sell_total_amount: 매도 총액
  * - sell_datetime: 매도 일시
- * - sell_unit_price: 매도 단가
+ * - sell_unit_price: 매도 단가 (체결 내역 기준 평균 단가)
+ * - sell_fee: 매도 수수료 (원)
  * - realized_profit_rate: 실현 수익률 (%)
- * - realized_profit_amount: 실현 수익금 (원)
+ * - realized_profit_amount: 실현 수익금 (원, 매수/매도 수수료 차감)
+ * - exit_reason: 청산 사유 (fixed, trailing, break_even, close, timeout, circuit)
+ * - is_simulated: 모의거래 여부 (1 = paper-exchange.js 체결)
+ * - est_spread_rate / est_buy_slippage / est_sell_slippage: 진입 시 호가로 추정한 스프레드/시장가 매수·긴급 매도 슬리피지 (%)
+ * - take_profit_order_uuid: 거래소에 걸어둔 익절 지정가 매도 주문 UUID
  * - created_at: 레코드 생성 시간
+ * 
+ * 복구 기록 (upbit_trade.trade_recovery_logs):
+ * - trade_id: 거래 레코드 ID (trades.id)
+ * - action: 복구 조치 (resume, close, buy_settled, abandon 등)
+ * - detail: 상세 내용
+ * 
+ * 리스크 중지 상태 (upbit_trade.risk_halts):
+ * - limit_type: 한도 종류 (daily_loss, daily_trades, drawdown)
+ * - reason: 중지 사유
+ * - halted_at / resume_at: 중지 시각 / 자동 해제 시각 (NULL이면 수동 해제)
+ * - released_at / released_by: 수동 해제 시각 / 해제 주체 (manual)
+ * 
+ * LLM 매매가 거부 기록 (upbit_trade.trade_level_rejections):
+ * - market / coin_name_ko: 마켓 코드 / 한글 코인명
+ * - current_price: 분석 시점 현재가
+ * - llm_buy_price / llm_take_profit / llm_stop_loss: LLM이 제시한 가격 (숫자가 아니면 NULL)
+ * - reason_code / reason: 거부 사유 코드 (trade-guard.js REJECT_REASON) / 상세 사유
+ * 
+ * 마켓별 거래 정책 (upbit_trade.market_policies):
+ * - market: 마켓 코드
+ * - is_simulated: 모의거래 여부 (NULL이면 수동 허용/차단 - 두 모드 모두 적용)
+ * - policy: 정책 (allow, deny, cooldown, ban)
+ * - reason: 사유
+ * - expires_at: 자동 해제 시각 (NULL이면 수동 해제까지 유지)
+ * - released_at: 수동 해제 시각
+ * 
+ * 서킷브레이커 이벤트 (upbit_trade.circuit_breaker_events):
+ * - event: 발동/해제 (trip, resume)
+ * - reason: 사유
+ * - btc_change / falling_ratio / market_count: 구간 내 BTC 등락률(%) / 하락 마켓 비율(%) / 비교한 마켓 수
  * ============================================================
  */
 
@@ -77,30 +116,49 @@ function getPool() {
  * 
  * @param {object} data - 거래 데이터
  * @param {string} data.coinNameKo - 한글 코인명
+ * @param {string} data.market - 마켓 코드
  * @param {number} data.buyPrice - LLM 분석 매수가
  * @param {number} data.takeProfit - LLM 분석 익절가
  * @param {number} data.stopLoss - LLM 분석 손절가
+ * @param {boolean} data.isSimulated - 모의거래 여부 (선택, 기본 false)
+ * @param {object} data.liquidity - 유동성 추정 (liquidity.js checkLiquidity 결과, 선택)
+ * @param {number} data.selectionCallId - 페어 선정 LLM 호출 ID (llm_calls.id, 선택)
+ * @param {string} data.strategy - 매매가를 정한 전략 ('llm' | 'rule', 선택, 기본 'llm')
  * @returns {Promise<number>} 생성된 레코드 ID
  */
 async function createTrade(data) {
   const sql = `
     INSERT INTO trades (
       coin_name_ko, 
+      market,
       llm_analysis_buy_price, 
       llm_analysis_take_profit, 
       llm_analysis_stop_loss,
       order_status, 
-      system_version
-    ) VALUES (?, ?, ?, ?, ?, ?)
+      system_version,
+      is_simulated,
+      est_spread_rate,
+      est_buy_slippage,
+      est_sell_slippage,
+      llm_selection_call_id,
+      strategy
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
   
   const values = [
     data.coinNameKo,
+    data.market,
     data.buyPrice,
     data.takeProfit,
     data.stopLoss,
     '거래전',        // 초기 상태
     config.VERSION,  // 현재 시스템 버전
+    data.isSimulated ? 1 : 0,  // 모의거래 여부
+    data.liquidity?.spreadRate ?? null,     // 진입 시 추정 스프레드 (%)
+    data.liquidity?.buySlippage ?? null,    // 진입 시 추정 시장가 매수 슬리피지 (%)
+    data.liquidity?.sellSlippage ?? null,   // 진입 시 추정 긴급 매도 슬리피지 (%)
+    data.selectionCallId ?? null,           // 페어 선정 LLM 호출 (llm_calls.id)
+    data.strategy || 'llm',                 // 매매가를 정한 전략 (rule-strategy.js STRATEGY)
   ];
   
   const [result] = await getPool().execute(sql, values);
@@ -111,13 +169,15 @@ async function createTrade(data) {
 /**
  * [관리-2] 매수 주문 발송 상태 업데이트
  * 
- * 매수 주문을 Upbit에 발송한 후 상태를 업데이트합니다.
+ * 매수 주문을 Upbit에 발송한 후 상태와 주문 UUID를 업데이트합니다.
+ * 재시작 시 이 UUID로 매수 체결 여부를 확인합니다.
  * 
  * @param {number} tradeId - 거래 레코드 ID
+ * @param {string} uuid - 매수 주문 UUID
  */
-async function updateBuyOrderSent(tradeId) {
-  const sql = `UPDATE trades SET order_status = ? WHERE id = ?`;
-  await getPool().execute(sql, ['매수주문발송', tradeId]);
+async function updateBuyOrderSent(tradeId, uuid) {
+  const sql = `UPDATE trades SET order_status = ?, buy_order_uuid = ? WHERE id = ?`;
+  await getPool().execute(sql, ['매수주문발송', uuid, tradeId]);
   log('info', `거래 ${tradeId}: 매수주문발송`);
 }
 
@@ -130,7 +190,9 @@ async function updateBuyOrderSent(tradeId) {
  * @param {object} data - 매수 완료 데이터
  * @param {number} data.buyTotalAmount - 매수 총액
  * @param {string} data.buyDatetime - 매수 일시 (MySQL DATETIME 형식)
- * @param {number} data.buyUnitPrice - 매수 단가
+ * @param {number} data.buyUnitPrice - 매수 단가 (평균 단가)
+ * @param {number} data.buyVolume - 매수 체결 수량
+ * @param {number} data.buyFee - 매수 수수료 (원)
  */
 async function updateBuyComplete(tradeId, data) {
   const sql = `
@@ -138,7 +200,9 @@ async function updateBuyComplete(tradeId, data) {
       order_status = ?,
       buy_total_amount = ?,
       buy_datetime = ?,
-      buy_unit_price = ?
+      buy_unit_price = ?,
+      buy_volume = ?,
+      buy_fee = ?
     WHERE id = ?
   `;
   
@@ -147,6 +211,8 @@ async function updateBuyComplete(tradeId, data) {
     data.buyTotalAmount,
     data.buyDatetime,
     data.buyUnitPrice,
+    data.buyVolume,
+    data.buyFee,
     tradeId,
   ];
   
@@ -154,6 +220,21 @@ async function updateBuyComplete(tradeId, data) {
   log('info', `거래 ${tradeId}: 매수완료 (${data.buyUnitPrice}원)`);
 }
 
+/**
+ * 익절 주문 UUID 저장
+ * 
+ * 매수 직후 거래소에 걸어둔 익절 지정가 매도 주문의 UUID를 기록합니다.
+ * 프로세스가 재시작되어도 이 UUID로 주문 상태를 다시 확인할 수 있습니다.
+ * 
+ * @param {number} tradeId - 거래 레코드 ID
+ * @param {string} uuid - 익절 주문 UUID
+ */
+async function updateTakeProfitOrder(tradeId, uuid) {
+  const sql = `UPDATE trades SET take_profit_order_uuid = ? WHERE id = ?`;
+  await getPool().execute(sql, [uuid, tradeId]);
+  log('info', `거래 ${tradeId}: 익절 주문 등록 (${uuid})`);
+}
+
 /**
  * [관리-5] 매도 완료 업데이트
  * 
@@ -163,9 +244,11 @@ async function updateBuyComplete(tradeId, data) {
  * @param {object} data - 매도 완료 데이터
  * @param {number} data.sellTotalAmount - 매도 총액
  * @param {string} data.sellDatetime - 매도 일시
- * @param {number} data.sellUnitPrice - 매도 단가
+ * @param {number} data.sellUnitPrice - 매도 단가 (평균 단가)
+ * @param {number} data.sellFee - 매도 수수료 (원)
  * @param {number} data.profitRate - 실현 수익률 (%)
  * @param {number} data.profitAmount - 실현 수익금 (원)
+ * @param {string} data.exitReason - 청산 사유 (exit-strategy.js EXIT_REASON)
  */
 async function updateSellComplete(tradeId, data) {
   const sql = `
@@ -174,8 +257,10 @@ async function updateSellComplete(tradeId, data) {
       sell_total_amount = ?,
       sell_datetime = ?,
       sell_unit_price = ?,
+      sell_fee = ?,
       realized_profit_rate = ?,
-      realized_profit_amount = ?
+      realized_profit_amount = ?,
+      exit_reason = ?
     WHERE id = ?
   `;
   
@@ -184,8 +269,10 @@ async function updateSellComplete(tradeId, data) {
     data.sellTotalAmount,
     data.sellDatetime,
     data.sellUnitPrice,
+    data.sellFee,
     data.profitRate,
     data.profitAmount,
+    data.exitReason,
     tradeId,
   ];
   
@@ -193,6 +280,374 @@ async function updateSellComplete(tradeId, data) {
   log('success', `거래 ${tradeId}: 매도완료 (수익률: ${data.profitRate.toFixed(2)}%)`);
 }
 
+/**
+ * 거래 상태 변경
+ * 
+ * 복구 과정에서 매수취소/복구불가 등으로 거래를 마감할 때 사용합니다.
+ * 
+ * @param {number} tradeId - 거래 레코드 ID
+ * @param {string} status - 주문 상태
+ */
+async function updateTradeStatus(tradeId, status) {
+  const sql = `UPDATE trades SET order_status = ? WHERE id = ?`;
+  await getPool().execute(sql, [status, tradeId]);
+  log('info', `거래 ${tradeId}: ${status}`);
+}
+
+/**
+ * 미완료 거래 조회 (재시작 복구용)
+ * 
+ * 매수주문발송/매수완료 상태로 남아 있는 거래를 오래된 순으로 조회합니다.
+ * 
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<array>} 거래 목록 (buy_datetime_utc: 매수 일시 'YYYY-MM-DD HH:MM:SS' UTC 문자열)
+ */
+async function getOpenTrades(isSimulated = false) {
+  // DATETIME을 Date로 받으면 서버 로컬 시간으로 해석되므로 UTC 문자열로 조회
+  const sql = `
+    SELECT *, DATE_FORMAT(buy_datetime, '%Y-%m-%d %H:%i:%s') AS buy_datetime_utc FROM trades
+    WHERE order_status IN ('매수주문발송', '매수완료') AND is_simulated = ?
+    ORDER BY id
+  `;
+  const [rows] = await getPool().execute(sql, [isSimulated ? 1 : 0]);
+  return rows;
+}
+
+/**
+ * 복구 조치 기록
+ * 
+ * @param {number} tradeId - 거래 레코드 ID
+ * @param {string} action - 복구 조치 (resume, close, buy_settled, abandon 등)
+ * @param {string} detail - 상세 내용
+ */
+async function logRecoveryAction(tradeId, action, detail = null) {
+  const sql = `INSERT INTO trade_recovery_logs (trade_id, action, detail) VALUES (?, ?, ?)`;
+  await getPool().execute(sql, [tradeId, action, detail ? String(detail).slice(0, 500) : null]);
+}
+
+/**
+ * 실현 손익 목록 조회 (리스크 한도 계산용)
+ * 
+ * @param {string|null} since - 이 시각 이후 매도된 거래만 (MySQL DATETIME, null이면 전체)
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<number[]>} 매도 순서대로 실현 손익 (원)
+ */
+async function getRealizedProfits(since, isSimulated = false) {
+  const sql = `
+    SELECT realized_profit_amount FROM trades
+    WHERE order_status = '매도완료' AND is_simulated = ? AND (? IS NULL OR sell_datetime >= ?)
+    ORDER BY sell_datetime, id
+  `;
+  const [rows] = await getPool().execute(sql, [isSimulated ? 1 : 0, since, since]);
+  return rows.map(r => parseFloat(r.realized_profit_amount));
+}
+
+/**
+ * 매수한 거래 수 조회 (일일 거래 횟수 한도용)
+ * 
+ * @param {string} since - 이 시각 이후 매수된 거래만 (MySQL DATETIME)
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<number>} 거래 수
+ */
+async function countTradesSince(since, isSimulated = false) {
+  const sql = `SELECT COUNT(*) AS count FROM trades WHERE is_simulated = ? AND buy_datetime >= ?`;
+  const [rows] = await getPool().execute(sql, [isSimulated ? 1 : 0, since]);
+  return rows[0].count;
+}
+
+/**
+ * 현재 유효한 리스크 중지 상태 조회
+ * 
+ * 수동 해제되지 않았고, 자동 해제 시각이 지나지 않은 중지 상태를 반환합니다.
+ * 
+ * @param {string} at - 현재 시각 (MySQL DATETIME)
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<object|null>} { limit_type, reason, resume_at ('YYYY-MM-DD HH:MM:SS' 또는 null) }
+ */
+async function getActiveRiskHalt(at, isSimulated = false) {
+  const sql = `
+    SELECT limit_type, reason, DATE_FORMAT(resume_at, '%Y-%m-%d %H:%i:%s') AS resume_at
+    FROM risk_halts
+    WHERE is_simulated = ? AND released_at IS NULL AND (resume_at IS NULL OR resume_at > ?)
+    ORDER BY id DESC LIMIT 1
+  `;
+  const [rows] = await getPool().execute(sql, [isSimulated ? 1 : 0, at]);
+  return rows[0] || null;
+}
+
+/**
+ * 리스크 중지 상태 저장
+ * 
+ * @param {object} data
+ * @param {boolean} data.isSimulated - 모의거래 여부
+ * @param {string} data.limitType - 한도 종류
+ * @param {string} data.reason - 중지 사유
+ * @param {string} data.haltedAt - 중지 시각 (MySQL DATETIME)
+ * @param {string|null} data.resumeAt - 자동 해제 시각 (MySQL DATETIME, null이면 수동 해제)
+ */
+async function createRiskHalt(data) {
+  const sql = `
+    INSERT INTO risk_halts (is_simulated, limit_type, reason, halted_at, resume_at)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+  await getPool().execute(sql, [
+    data.isSimulated ? 1 : 0,
+    data.limitType,
+    String(data.reason).slice(0, 500),
+    data.haltedAt,
+    data.resumeAt,
+  ]);
+}
+
+/**
+ * LLM 매매가 거부 기록
+ * 
+ * @param {object} data
+ * @param {string} data.market - 마켓 코드
+ * @param {string} data.coinNameKo - 한글 코인명
+ * @param {number} data.currentPrice - 분석 시점 현재가
+ * @param {object} data.analysis - LLM 분석 결과 { buyPrice, takeProfit, stopLoss }
+ * @param {string} data.reasonCode - 거부 사유 코드
+ * @param {string} data.reason - 상세 사유
+ * @param {boolean} data.isSimulated - 모의거래 여부
+ */
+async function logLevelRejection(data) {
+  const toNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : null);
+  const sql = `
+    INSERT INTO trade_level_rejections
+      (market, coin_name_ko, current_price, llm_buy_price, llm_take_profit, llm_stop_loss, reason_code, reason, is_simulated)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  await getPool().execute(sql, [
+    data.market,
+    data.coinNameKo,
+    data.currentPrice,
+    toNumber(data.analysis?.buyPrice),
+    toNumber(data.analysis?.takeProfit),
+    toNumber(data.analysis?.stopLoss),
+    data.reasonCode,
+    String(data.reason).slice(0, 500),
+    data.isSimulated ? 1 : 0,
+  ]);
+}
+
+/**
+ * 리스크 중지 상태 수동 해제
+ * 
+ * @param {string} at - 해제 시각 (MySQL DATETIME)
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<number>} 해제한 중지 상태 수
+ */
+async function releaseRiskHalts(at, isSimulated = false) {
+  const sql = `
+    UPDATE risk_halts SET released_at = ?, released_by = 'manual'
+    WHERE is_simulated = ? AND released_at IS NULL
+  `;
+  const [result] = await getPool().execute(sql, [at, isSimulated ? 1 : 0]);
+  return result.affectedRows;
+}
+
+/**
+ * 마지막 수동 해제 시각 조회
+ * 
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<string|null>} 'YYYY-MM-DD HH:MM:SS' (해제 이력이 없으면 null)
+ */
+async function getLastRiskReset(isSimulated = false) {
+  const sql = `
+    SELECT DATE_FORMAT(MAX(released_at), '%Y-%m-%d %H:%i:%s') AS released_at
+    FROM risk_halts
+    WHERE is_simulated = ? AND released_by = 'manual'
+  `;
+  const [rows] = await getPool().execute(sql, [isSimulated ? 1 : 0]);
+  return rows[0].released_at || null;
+}
+
+/**
+ * 현재 유효한 마켓 정책 조회
+ * 
+ * @param {string} at - 현재 시각 (MySQL DATETIME)
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<array>} [{ market, policy, reason, expires_at ('YYYY-MM-DD HH:MM:SS' 또는 null) }]
+ */
+async function getActiveMarketPolicies(at, isSimulated = false) {
+  const sql = `
+    SELECT market, policy, reason, DATE_FORMAT(expires_at, '%Y-%m-%d %H:%i:%s') AS expires_at
+    FROM market_policies
+    WHERE (is_simulated IS NULL OR is_simulated = ?) AND released_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+    ORDER BY id
+  `;
+  const [rows] = await getPool().execute(sql, [isSimulated ? 1 : 0, at]);
+  return rows;
+}
+
+/**
+ * 마켓 정책 저장
+ * 
+ * @param {object} data
+ * @param {string} data.market - 마켓 코드
+ * @param {boolean|null} data.isSimulated - 모의거래 여부 (null이면 두 모드 모두)
+ * @param {string} data.policy - 정책 (allow, deny, cooldown, ban)
+ * @param {string} data.reason - 사유
+ * @param {string|null} data.expiresAt - 자동 해제 시각 (MySQL DATETIME, null이면 수동 해제)
+ */
+async function createMarketPolicy(data) {
+  const sql = `INSERT INTO market_policies (market, is_simulated, policy, reason, expires_at) VALUES (?, ?, ?, ?, ?)`;
+  await getPool().execute(sql, [
+    data.market,
+    data.isSimulated === null ? null : (data.isSimulated ? 1 : 0),
+    data.policy,
+    data.reason ? String(data.reason).slice(0, 500) : null,
+    data.expiresAt,
+  ]);
+}
+
+/**
+ * 마켓 정책 수동 해제 (모든 모드, 모든 정책)
+ * 
+ * @param {string} market - 마켓 코드
+ * @param {string} at - 해제 시각 (MySQL DATETIME)
+ * @returns {Promise<number>} 해제한 정책 수
+ */
+async function releaseMarketPolicies(market, at) {
+  const sql = `UPDATE market_policies SET released_at = ? WHERE market = ? AND released_at IS NULL`;
+  const [result] = await getPool().execute(sql, [at, market]);
+  return result.affectedRows;
+}
+
+/**
+ * 마켓 정책 마지막 수동 해제 시각 조회
+ * 
+ * @param {string} market - 마켓 코드
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<string|null>} 'YYYY-MM-DD HH:MM:SS' (해제 이력이 없으면 null)
+ */
+async function getLastMarketRelease(market, isSimulated = false) {
+  const sql = `
+    SELECT DATE_FORMAT(MAX(released_at), '%Y-%m-%d %H:%i:%s') AS released_at
+    FROM market_policies
+    WHERE market = ? AND (is_simulated IS NULL OR is_simulated = ?)
+  `;
+  const [rows] = await getPool().execute(sql, [market, isSimulated ? 1 : 0]);
+  return rows[0].released_at || null;
+}
+
+/**
+ * 마켓별 손실 거래 수 조회 (영구 차단 판단용)
+ * 
+ * @param {string} market - 마켓 코드
+ * @param {string} since - 이 시각 이후 매도된 거래만 (MySQL DATETIME)
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<number>} 손실 거래 수
+ */
+async function countMarketLosses(market, since, isSimulated = false) {
+  const sql = `
+    SELECT COUNT(*) AS count FROM trades
+    WHERE market = ? AND is_simulated = ? AND order_status = '매도완료'
+      AND realized_profit_amount < 0 AND sell_datetime >= ?
+  `;
+  const [rows] = await getPool().execute(sql, [market, isSimulated ? 1 : 0, since]);
+  return rows[0].count;
+}
+
+/**
+ * 서킷브레이커 이벤트 기록
+ * 
+ * @param {object} data
+ * @param {string} data.event - 이벤트 (trip, resume)
+ * @param {string} data.reason - 사유
+ * @param {number|null} data.btcChange - 구간 내 KRW-BTC 등락률 (%)
+ * @param {number} data.fallingRatio - 하락 마켓 비율 (%)
+ * @param {number} data.marketCount - 비교한 마켓 수
+ * @param {boolean} data.isSimulated - 모의거래 여부
+ */
+async function logCircuitEvent(data) {
+  const sql = `
+    INSERT INTO circuit_breaker_events (event, reason, btc_change, falling_ratio, market_count, is_simulated)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `;
+  await getPool().execute(sql, [
+    data.event,
+    String(data.reason).slice(0, 500),
+    data.btcChange,
+    data.fallingRatio,
+    data.marketCount,
+    data.isSimulated ? 1 : 0,
+  ]);
+}
+
+/**
+ * LLM 호출 기록 (감사 로그)
+ * 
+ * @param {object} data - 호출 기록 (llm-providers.js askLLM의 calls 항목)
+ * @param {string} data.task - 작업 종류 (pair_selection, trade_prices)
+ * @param {string} data.provider - provider 이름
+ * @param {string} data.model - 모델명
+ * @param {string} data.systemPrompt - 시스템 프롬프트
+ * @param {string} data.prompt - 사용자 프롬프트
+ * @param {string} data.response - 원본 응답 (호출 실패 시 null)
+ * @param {object} data.parsed - 파싱한 응답 (파싱 실패 또는 호출 실패 시 null)
+ * @param {number} data.latencyMs - 응답 시간 (밀리초)
+ * @param {object} data.usage - 토큰 사용량 { inputTokens, outputTokens }
+ * @param {string} data.error - 호출 실패 또는 응답 형식 오류
+ * @param {boolean} data.isSimulated - 모의거래 여부
+ * @param {string} data.calledAt - 호출 일시 (MySQL DATETIME, UTC)
+ * @returns {Promise<number>} 생성된 레코드 ID
+ */
+async function logLlmCall(data) {
+  const sql = `
+    INSERT INTO llm_calls
+      (task, provider, model, system_prompt, user_prompt, raw_response, parsed_result,
+       latency_ms, input_tokens, output_tokens, error, is_simulated, called_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  const [result] = await getPool().execute(sql, [
+    data.task,
+    data.provider,
+    data.model,
+    data.systemPrompt,
+    data.prompt,
+    data.response,
+    data.parsed ? JSON.stringify(data.parsed) : null,
+    data.latencyMs,
+    data.usage?.inputTokens ?? null,
+    data.usage?.outputTokens ?? null,
+    data.error ? String(data.error).slice(0, 1000) : null,
+    data.isSimulated ? 1 : 0,
+    data.calledAt,
+  ]);
+  return result.insertId;
+}
+
+/**
+ * LLM 사용량 조회 (일일 LLM 예산용)
+ * 
+ * @param {string} since - 이 시각 이후 호출만 (MySQL DATETIME)
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<object>} { calls, tokens } (실패한 호출 포함, 토큰은 입력 + 출력)
+ */
+async function getLlmUsage(since, isSimulated = false) {
+  const sql = `
+    SELECT COUNT(*) AS calls, COALESCE(SUM(COALESCE(input_tokens, 0) + COALESCE(output_tokens, 0)), 0) AS tokens
+    FROM llm_calls
+    WHERE is_simulated = ? AND called_at >= ?
+  `;
+  const [rows] = await getPool().execute(sql, [isSimulated ? 1 : 0, since]);
+  return { calls: Number(rows[0].calls), tokens: Number(rows[0].tokens) };
+}
+
+/**
+ * LLM 호출 기록을 거래에 연결
+ * 
+ * @param {number} tradeId - 거래 레코드 ID
+ * @param {array} callIds - llm_calls.id 목록
+ */
+async function linkLlmCalls(tradeId, callIds) {
+  if (callIds.length === 0) return;
+  const sql = `UPDATE llm_calls SET trade_id = ? WHERE id IN (${callIds.map(() => '?').join(', ')})`;
+  await getPool().execute(sql, [tradeId, ...callIds]);
+}
+
 /**
  * 거래 조회
  * 
@@ -238,7 +693,27 @@ module.exports = {
   createTrade,
   updateBuyOrderSent,
   updateBuyComplete,
+  updateTakeProfitOrder,
   updateSellComplete,
+  updateTradeStatus,
+  getOpenTrades,
+  logRecoveryAction,
+  getRealizedProfits,
+  countTradesSince,
+  getActiveRiskHalt,
+  createRiskHalt,
+  releaseRiskHalts,
+  getLastRiskReset,
+  logLevelRejection,
+  getActiveMarketPolicies,
+  createMarketPolicy,
+  releaseMarketPolicies,
+  getLastMarketRelease,
+  countMarketLosses,
+  logCircuitEvent,
+  logLlmCall,
+  linkLlmCalls,
+  getLlmUsage,
   getTrade,
   getRecentTrades,
   closeDB,
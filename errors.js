@@ -0,0 +1,218 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 에러 분류 및 재시도 정책
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 업비트 API 실패를 종류별 에러(UpbitError)로 분류하고,
+ * 각 에러에 대해 트레이딩 루프가 취할 조치를 정합니다.
+ * 
+ * 조치(action):
+ * - retry: 일시적 오류 (네트워크, 429, 5xx) → 잠시 후 다시 시도
+ * - skip:  이 페어/주문만 포기 (최소 주문금액 미달, 호가 단위 오류 등)
+ * - halt:  봇 중지 (잔고 부족, 인증 실패, 주문 접수 여부 불명 등 사람이 확인해야 하는 오류)
+ * 
+ * 업비트 에러 응답 형식:
+ *   { "error": { "name": "insufficient_funds_bid", "message": "..." } }
+ * ============================================================
+ */
+
+const config = require('./config');
+const { log, sleep } = require('./utils');
+
+// 트레이딩 루프 조치
+const ERROR_ACTION = {
+  RETRY: 'retry',
+  SKIP: 'skip',
+  HALT: 'halt',
+};
+
+// 에러 종류
+const ERROR_KIND = {
+  NETWORK: 'network',                      // 연결 실패, 타임아웃
+  RATE_LIMIT: 'rate_limit',                // 429
+  SERVER: 'server',                        // 5xx
+  INSUFFICIENT_FUNDS: 'insufficient_funds', // 잔고 부족
+  UNDER_MIN_TOTAL: 'under_min_total',      // 최소 주문금액 미달
+  INVALID_ORDER: 'invalid_order',          // 호가 단위/수량/파라미터 오류
+  AUTH: 'auth',                            // 인증/권한 오류, IP 차단
+  NOT_FOUND: 'not_found',                  // 주문/마켓 없음
+  ORDER_UNKNOWN: 'order_unknown',          // 주문 접수 여부 확인 불가
+  UNKNOWN: 'unknown',
+};
+
+// 업비트 에러 이름 → 종류
+const ERROR_NAME_KINDS = {
+  insufficient_funds_bid: ERROR_KIND.INSUFFICIENT_FUNDS,
+  insufficient_funds_ask: ERROR_KIND.INSUFFICIENT_FUNDS,
+  under_min_total_bid: ERROR_KIND.UNDER_MIN_TOTAL,
+  under_min_total_ask: ERROR_KIND.UNDER_MIN_TOTAL,
+  invalid_price_bid: ERROR_KIND.INVALID_ORDER,
+  invalid_price_ask: ERROR_KIND.INVALID_ORDER,
+  invalid_volume_bid: ERROR_KIND.INVALID_ORDER,
+  invalid_volume_ask: ERROR_KIND.INVALID_ORDER,
+  invalid_parameter: ERROR_KIND.INVALID_ORDER,
+  validation_error: ERROR_KIND.INVALID_ORDER,
+  market_does_not_exist: ERROR_KIND.NOT_FOUND,
+  order_not_found: ERROR_KIND.NOT_FOUND,
+  invalid_query_payload: ERROR_KIND.AUTH,
+  jwt_verification: ERROR_KIND.AUTH,
+  expired_access_key: ERROR_KIND.AUTH,
+  nonce_used: ERROR_KIND.AUTH,
+  no_authorization_i_p: ERROR_KIND.AUTH,
+  out_of_scope: ERROR_KIND.AUTH,
+};
+
+// 종류 → 조치
+const KIND_ACTIONS = {
+  [ERROR_KIND.NETWORK]: ERROR_ACTION.RETRY,
+  [ERROR_KIND.RATE_LIMIT]: ERROR_ACTION.RETRY,
+  [ERROR_KIND.SERVER]: ERROR_ACTION.RETRY,
+  [ERROR_KIND.INSUFFICIENT_FUNDS]: ERROR_ACTION.HALT,
+  [ERROR_KIND.UNDER_MIN_TOTAL]: ERROR_ACTION.SKIP,
+  [ERROR_KIND.INVALID_ORDER]: ERROR_ACTION.SKIP,
+  [ERROR_KIND.AUTH]: ERROR_ACTION.HALT,
+  [ERROR_KIND.NOT_FOUND]: ERROR_ACTION.SKIP,
+  [ERROR_KIND.ORDER_UNKNOWN]: ERROR_ACTION.HALT,
+  [ERROR_KIND.UNKNOWN]: ERROR_ACTION.SKIP,
+};
+
+/**
+ * 업비트 API 에러
+ * 
+ * message는 기존과 같은 'Upbit API Error: {status} - {body}' 형식을 유지합니다.
+ * 
+ * @property {number|null} status - HTTP 상태 코드 (네트워크 오류는 null)
+ * @property {string|null} code - 업비트 에러 이름 (예: 'under_min_total_bid')
+ * @property {string} kind - ERROR_KIND 값
+ * @property {string} action - ERROR_ACTION 값
+ */
+class UpbitError extends Error {
+  constructor(message, { status = null, code = null, kind = ERROR_KIND.UNKNOWN, cause } = {}) {
+    super(message, { cause });
+    this.name = 'UpbitError';
+    this.status = status;
+    this.code = code;
+    this.kind = kind;
+    this.action = KIND_ACTIONS[kind];
+  }
+
+  /** 재시도 대상 여부 */
+  get retryable() {
+    return this.action === ERROR_ACTION.RETRY;
+  }
+}
+
+/**
+ * HTTP 에러 응답으로 UpbitError 생성
+ * 
+ * @param {number} status - HTTP 상태 코드
+ * @param {string} body - 응답 본문 (JSON 문자열)
+ * @returns {UpbitError}
+ * 
+ * @example
+ * createUpbitError(400, '{"error":{"name":"under_min_total_bid","message":"..."}}');
+ * // → kind: 'under_min_total', action: 'skip'
+ */
+function createUpbitError(status, body) {
+  let code = null;
+  try {
+    code = JSON.parse(body)?.error?.name || null;
+  } catch (e) {
+    // HTML 등 JSON이 아닌 응답은 상태 코드로만 분류
+  }
+
+  let kind = ERROR_NAME_KINDS[code];
+  if (!kind) {
+    if (status === 429) kind = ERROR_KIND.RATE_LIMIT;
+    else if (status >= 500) kind = ERROR_KIND.SERVER;
+    else if (status === 401 || status === 403 || status === 418) kind = ERROR_KIND.AUTH;
+    else if (status === 404) kind = ERROR_KIND.NOT_FOUND;
+    else kind = ERROR_KIND.UNKNOWN;
+  }
+
+  return new UpbitError(`Upbit API Error: ${status} - ${body}`, { status, code, kind });
+}
+
+/**
+ * 네트워크 오류(fetch 실패, 타임아웃)로 UpbitError 생성
+ * 
+ * @param {Error} error - fetch가 던진 에러
+ * @returns {UpbitError}
+ */
+function createNetworkError(error) {
+  const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+  const reason = timedOut ? '응답 시간 초과' : (error.cause?.code || error.message);
+  return new UpbitError(`Upbit API Error: network - ${reason}`, {
+    kind: ERROR_KIND.NETWORK,
+    cause: error,
+  });
+}
+
+/**
+ * 에러의 트레이딩 루프 조치 조회
+ * 
+ * UpbitError가 아닌 에러(LLM 응답 파싱 실패 등)는 해당 페어만 건너뜁니다.
+ * 
+ * @param {Error} error - 에러
+ * @returns {string} ERROR_ACTION 값
+ */
+function errorAction(error) {
+  return error?.action || ERROR_ACTION.SKIP;
+}
+
+/**
+ * 재시도 대기 시간 (지수 백오프)
+ * 
+ * @param {number} attempt - 실패 횟수 (1부터)
+ * @returns {number} 대기 시간 (밀리초)
+ */
+function backoffDelay(attempt) {
+  return Math.min(config.RETRY.BASE_DELAY * 2 ** (attempt - 1), config.RETRY.MAX_DELAY);
+}
+
+/**
+ * 재시도 정책 적용 실행
+ * 
+ * 재시도 가능한 에러(retry)만 지수 백오프로 다시 시도하고,
+ * 그 외 에러는 즉시 던집니다. 멱등한 요청(조회, 취소)에만 사용해야 합니다.
+ * 
+ * @param {function} task - 실행할 비동기 함수
+ * @param {object} options
+ * @param {string} options.label - 로그용 이름
+ * @param {number} options.maxAttempts - 최대 시도 횟수 (기본 config.RETRY.MAX_ATTEMPTS)
+ * @returns {Promise<*>} task 결과
+ * 
+ * @example
+ * const ticker = await withRetry(() => publicGet('/ticker', params), { label: 'GET /ticker' });
+ */
+async function withRetry(task, { label = 'request', maxAttempts = config.RETRY.MAX_ATTEMPTS } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (errorAction(error) !== ERROR_ACTION.RETRY || attempt >= maxAttempts) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt);
+      log('warn', `${label} 실패 (${error.kind}) - ${delay}ms 후 재시도 (${attempt}/${maxAttempts - 1})`);
+      await sleep(delay);
+    }
+  }
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  ERROR_ACTION,
+  ERROR_KIND,
+  UpbitError,
+  createUpbitError,
+  createNetworkError,
+  errorAction,
+  backoffDelay,
+  withRetry,
+};
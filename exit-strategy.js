@@ -0,0 +1,218 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 청산 전략 모듈
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 보유 중 가격 변화에 따라 손절선과 익절가를 옮깁니다.
+ * 
+ * 기능:
+ * - 트레일링 스탑: 최고가에서 일정 비율(percent) 또는 ATR 배수(atr)만큼 아래로 손절선을 따라 올림
+ * - 본전 스탑: 일정 수익에 도달하면 손절선을 수수료 포함 본전가로 올림
+ * - 익절가 상향(ratchet): 가격이 익절가에 가까워지면 익절 지정가 주문을 한 단계 위로 다시 걸어둠
+ * - 시간 청산: 최대 보유 시간/사이클 마감이 되면 청산, 마감 직전에는 손절선을 현재가 가까이 올림(tighten)
+ * 
+ * 손절선은 올라가기만 하고 내려가지 않습니다.
+ * 주문/조회는 하지 않는 순수 계산 모듈이며, 실제 주문은 trader.js가 처리합니다.
+ * ============================================================
+ */
+
+const config = require('./config');
+const { normalizePrice } = require('./order-normalizer');
+
+// 청산 사유 (trades.exit_reason)
+const EXIT_REASON = {
+  FIXED: 'fixed',            // LLM 익절가/손절가
+  TRAILING: 'trailing',      // 트레일링 스탑
+  BREAK_EVEN: 'break_even',  // 본전 스탑
+  CLOSE: 'close',            // 즉시 청산 (재시작 복구 정책 등)
+  TIMEOUT: 'timeout',        // 최대 보유 시간/사이클 마감
+  CIRCUIT: 'circuit',        // 시장 전체 서킷브레이커 (FORCE_EXIT)
+};
+
+// Notion 표시용 이름
+const EXIT_REASON_LABELS = {
+  [EXIT_REASON.FIXED]: '고정',
+  [EXIT_REASON.TRAILING]: '트레일링',
+  [EXIT_REASON.BREAK_EVEN]: '본전',
+  [EXIT_REASON.CLOSE]: '청산',
+  [EXIT_REASON.TIMEOUT]: '시간초과',
+  [EXIT_REASON.CIRCUIT]: '서킷브레이커',
+};
+
+/**
+ * ATR (Average True Range) 계산
+ * 
+ * @param {array} candles - 캔들 데이터 (업비트 응답처럼 최신 캔들이 앞)
+ * @param {number} period - 기간 (기본 config.EXIT.ATR_PERIOD)
+ * @returns {number|null} ATR (캔들이 부족하면 null)
+ */
+function calculateAtr(candles, period = config.EXIT.ATR_PERIOD) {
+  if (!candles || candles.length < period + 1) return null;
+
+  const ordered = candles.slice(0, period + 1).reverse();  // 오래된 순
+  let sum = 0;
+  for (let i = 1; i < ordered.length; i++) {
+    const { high_price: high, low_price: low } = ordered[i];
+    const prevClose = ordered[i - 1].trade_price;
+    sum += Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+  }
+  return sum / period;
+}
+
+/**
+ * 수수료 포함 본전가
+ * 
+ * 이 가격 이상에 팔면 매도 수수료를 빼고도 매수 금액 + 매수 수수료를 회수합니다.
+ * 
+ * @param {object} position - { volume, buyTotalAmount, buyFee }
+ * @returns {number} 본전가 (호가 단위 올림)
+ */
+function breakEvenPrice({ volume, buyTotalAmount, buyFee }) {
+  const cost = (buyTotalAmount + buyFee) / volume;
+  const price = cost / (1 - config.TRADE.FEE_RATE) * (1 + config.EXIT.BREAK_EVEN_OFFSET / 100);
+  return normalizePrice(price, 'ceil');
+}
+
+/**
+ * 청산 계획 생성
+ * 
+ * @param {object} position - managePosition()의 포지션 (buyPrice, takeProfit, stopLoss, volume 등)
+ * @param {object} options
+ * @param {number} options.atr - ATR 값 (TRAILING_MODE가 'atr'일 때 필요, 없으면 percent로 대체)
+ * @returns {object} 청산 계획 (updateStop / nextTakeProfit에 전달)
+ */
+function createExitPlan(position, { atr = null } = {}) {
+  let trailingMode = config.EXIT.TRAILING_MODE;
+  if (trailingMode === 'atr' && !atr) trailingMode = 'percent';
+
+  return {
+    buyPrice: position.buyPrice,
+    takeProfit: position.takeProfit,
+    stopPrice: position.stopLoss,
+    stopReason: EXIT_REASON.FIXED,
+    peakPrice: position.buyPrice,
+    trailingMode,
+    atr,
+    breakEven: breakEvenPrice(position),
+    breakEvenArmed: false,
+    ratchetCount: 0,
+  };
+}
+
+/**
+ * 현재가로 손절선 갱신
+ * 
+ * 최고가를 기록하고, 본전 스탑/트레일링 스탑 조건을 만족하면 손절선을 올립니다.
+ * 
+ * @param {object} plan - createExitPlan() 결과 (직접 갱신됨)
+ * @param {number} price - 현재가
+ * @returns {boolean} 손절선이 올라갔는지 여부
+ */
+function updateStop(plan, price) {
+  plan.peakPrice = Math.max(plan.peakPrice, price);
+  const gainRate = (plan.peakPrice - plan.buyPrice) / plan.buyPrice * 100;
+  const candidates = [];
+
+  // 본전 스탑: 한 번 도달하면 유지
+  if (config.EXIT.BREAK_EVEN_TRIGGER > 0 && gainRate >= config.EXIT.BREAK_EVEN_TRIGGER) {
+    plan.breakEvenArmed = true;
+  }
+  if (plan.breakEvenArmed) {
+    candidates.push([plan.breakEven, EXIT_REASON.BREAK_EVEN]);
+  }
+
+  // 트레일링 스탑: 활성화 수익률 도달 후 최고가를 따라 올라감
+  if (plan.trailingMode !== 'off' && gainRate >= config.EXIT.TRAILING_ACTIVATION) {
+    const distance = plan.trailingMode === 'atr'
+      ? plan.atr * config.EXIT.TRAILING_ATR_MULTIPLIER
+      : plan.peakPrice * config.EXIT.TRAILING_PERCENT / 100;
+    candidates.push([normalizePrice(plan.peakPrice - distance, 'floor'), EXIT_REASON.TRAILING]);
+  }
+
+  let raised = false;
+  for (const [stopPrice, reason] of candidates) {
+    if (stopPrice > plan.stopPrice) {
+      plan.stopPrice = stopPrice;
+      plan.stopReason = reason;
+      raised = true;
+    }
+  }
+  return raised;
+}
+
+/**
+ * 익절가 상향 여부 판단
+ * 
+ * 가격이 매수가→익절가 구간의 RATCHET_TRIGGER 비율을 넘으면
+ * 익절가를 RATCHET_STEP(%)만큼 올린 새 가격을 돌려줍니다.
+ * 
+ * @param {object} plan - createExitPlan() 결과
+ * @param {number} price - 현재가
+ * @returns {number|null} 새 익절가 (올리지 않으면 null)
+ */
+function nextTakeProfit(plan, price) {
+  if (!config.EXIT.RATCHET_TAKE_PROFIT || plan.ratchetCount >= config.EXIT.RATCHET_MAX) return null;
+
+  const trigger = plan.buyPrice + (plan.takeProfit - plan.buyPrice) * config.EXIT.RATCHET_TRIGGER;
+  if (price < trigger || price >= plan.takeProfit) return null;
+
+  return normalizePrice(plan.takeProfit * (1 + config.EXIT.RATCHET_STEP / 100), 'ceil');
+}
+
+/**
+ * 포지션 청산 기한 계산
+ * 
+ * 매수 시각 + MAX_HOLD_TIME과 사이클 마감 중 빠른 시각입니다.
+ * 
+ * @param {object} position - managePosition()의 포지션 (buyDatetime: ISO 문자열)
+ * @param {number|null} cycleDeadline - 사이클 마감 시각 (epoch 밀리초, 없으면 null)
+ * @returns {number|null} 청산 기한 (epoch 밀리초, 제한이 없으면 null)
+ */
+function positionDeadline(position, cycleDeadline = null) {
+  const deadlines = [];
+  const boughtAt = Date.parse(position.buyDatetime);
+  if (config.EXIT.MAX_HOLD_TIME > 0 && Number.isFinite(boughtAt)) {
+    deadlines.push(boughtAt + config.EXIT.MAX_HOLD_TIME);
+  }
+  if (config.EXIT.CYCLE_DEADLINE && cycleDeadline) {
+    deadlines.push(cycleDeadline);
+  }
+  return deadlines.length > 0 ? Math.min(...deadlines) : null;
+}
+
+/**
+ * 청산 기한 직전 손절선 조이기
+ * 
+ * 현재가에서 TIGHTEN_STOP_PERCENT(%) 아래까지 손절선을 올립니다.
+ * 기한 전에 조금이라도 되돌림이 오면 청산되도록 하는 용도입니다 (DEADLINE_ACTION: 'tighten').
+ * 
+ * @param {object} plan - createExitPlan() 결과 (직접 갱신됨)
+ * @param {number} price - 현재가
+ * @returns {boolean} 손절선이 올라갔는지 여부
+ */
+function tightenStop(plan, price) {
+  const stopPrice = normalizePrice(price * (1 - config.EXIT.TIGHTEN_STOP_PERCENT / 100), 'floor');
+  if (stopPrice <= plan.stopPrice) return false;
+
+  plan.stopPrice = stopPrice;
+  plan.stopReason = EXIT_REASON.TIMEOUT;
+  return true;
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  EXIT_REASON,
+  EXIT_REASON_LABELS,
+  calculateAtr,
+  breakEvenPrice,
+  createExitPlan,
+  updateStop,
+  nextTakeProfit,
+  positionDeadline,
+  tightenStop,
+};
@@ -0,0 +1,162 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 잔고 원장 (자금 예약 / 봇 보유 수량)
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 거래소 잔고(getBalance)를 기준으로 주문을 내기 전에 자금과 수량을 확인합니다.
+ * 
+ * - KRW 예약: 매수 주문을 내기 전에 금액을 예약하고, 주문이 접수되면(거래소가 잔고를 묶으면) 반납
+ *   동시 포지션이 같은 KRW 잔고를 보고 함께 주문하지 않도록 다른 예약분을 빼고 확인합니다.
+ * - 봇 보유 수량: 봇이 매수한 수량만 마켓별로 따로 기록 (직접 사 둔 코인은 팔지 않음)
+ *   매도 주문 전에 봇 보유 수량과 거래소 주문 가능 수량을 모두 넘지 않는지 확인합니다.
+ * 
+ * 확인 실패는 업비트와 같은 UpbitError(insufficient_funds_*)로 던지므로
+ * 거래소가 주문을 거절한 것과 같은 방식(halt)으로 처리됩니다.
+ * 원장은 메모리에만 있고, 재시작하면 복구(recoverTrade)가 보유 수량을 다시 등록합니다.
+ * ============================================================
+ */
+
+const config = require('./config');
+const { log } = require('./utils');
+const { normalizeVolume, rejectOrder } = require('./order-normalizer');
+
+const EPSILON = 1e-9;
+
+/**
+ * 잔고 원장 생성
+ * 
+ * @param {object} options
+ * @param {object} options.exchange - 거래소 모듈 (getBalance)
+ * @returns {object} 원장 { reserveKrw, releaseKrw, reservedKrw, addInventory, removeInventory, botVolume, checkSell }
+ * 
+ * @example
+ * const ledger = createLedger({ exchange: upbit });
+ * await ledger.reserveKrw('KRW-BTC', 100000);
+ * const order = await upbit.buyLimit('KRW-BTC', price, volume);
+ * ledger.releaseKrw('KRW-BTC');
+ */
+function createLedger({ exchange }) {
+  const reservations = new Map();  // 마켓 → 주문 전 예약 금액 (원)
+  const inventory = new Map();     // 마켓 → 봇이 매수한 수량
+
+  /**
+   * 통화별 잔고 조회
+   * 
+   * @param {string} currency - 통화 코드 (예: 'KRW', 'BTC')
+   * @returns {Promise<object>} { balance, locked } (주문 가능 / 주문에 묶인 수량)
+   */
+  async function getAccount(currency) {
+    const account = (await exchange.getBalance()).find(a => a.currency === currency);
+    return {
+      balance: account ? parseFloat(account.balance) : 0,
+      locked: account ? parseFloat(account.locked) : 0,
+    };
+  }
+
+  const reservedKrw = (except = null) => [...reservations.entries()]
+    .filter(([market]) => market !== except)
+    .reduce((sum, [, amount]) => sum + amount, 0);
+
+  const botVolume = market => inventory.get(market) || 0;
+
+  return {
+    /**
+     * 매수 주문 전 KRW 예약
+     * 
+     * 주문 가능 KRW에서 다른 마켓의 예약분을 뺀 금액이 부족하면 예약하지 않고 던집니다.
+     * 
+     * @param {string} market - 마켓 코드
+     * @param {number} amount - 주문 금액 (원, 수수료 포함)
+     * @throws {UpbitError} insufficient_funds_bid
+     */
+    async reserveKrw(market, amount) {
+      if (!config.LEDGER.ENABLED) return;
+
+      const { balance } = await getAccount('KRW');
+      const free = balance - reservedKrw(market);
+      if (amount > free + EPSILON) {
+        throw rejectOrder('insufficient_funds_bid',
+          `주문가능한 금액(KRW)이 부족합니다: ${Math.floor(free)}원 (잔고 ${Math.floor(balance)}원 - 예약 ${Math.floor(balance - free)}원, ${market})`);
+      }
+      reservations.set(market, amount);
+    },
+
+    /**
+     * KRW 예약 반납 (주문 접수 후 또는 주문을 내지 않게 됐을 때)
+     * 
+     * @param {string} market - 마켓 코드
+     */
+    releaseKrw(market) {
+      reservations.delete(market);
+    },
+
+    /** 예약된 KRW 합계 (원) */
+    reservedKrw: () => reservedKrw(),
+
+    /**
+     * 봇 보유 수량 추가 (매수 체결 / 재시작 복구)
+     * 
+     * @param {string} market - 마켓 코드
+     * @param {number} volume - 체결 수량
+     */
+    addInventory(market, volume) {
+      inventory.set(market, botVolume(market) + volume);
+    },
+
+    /**
+     * 봇 보유 수량 제거 (포지션 종료 - 최소 주문금액 미만으로 남은 수량 포함)
+     * 
+     * @param {string} market - 마켓 코드
+     * @param {number} volume - 포지션 수량
+     */
+    removeInventory(market, volume) {
+      const remaining = botVolume(market) - volume;
+      if (remaining > EPSILON) inventory.set(market, remaining);
+      else inventory.delete(market);
+    },
+
+    /** 마켓의 봇 보유 수량 */
+    botVolume,
+
+    /**
+     * 매도 주문 전 수량 확인
+     * 
+     * - 봇 보유 수량을 넘으면 직접 보유한 코인까지 팔게 되므로 거부
+     * - 거래소 주문 가능 수량(locked 제외)을 넘으면 거부
+     * 
+     * @param {string} market - 마켓 코드
+     * @param {number} volume - 매도 수량
+     * @throws {UpbitError} insufficient_funds_ask
+     */
+    async checkSell(market, volume) {
+      if (!config.LEDGER.ENABLED) return;
+
+      const owned = botVolume(market);
+      if (volume > owned + EPSILON) {
+        throw rejectOrder('insufficient_funds_ask', `봇 보유 수량 초과: 매도 ${volume} > 보유 ${owned} (${market})`);
+      }
+
+      const { balance, locked } = await getAccount(market.split('-')[1]);
+      if (volume > balance + EPSILON) {
+        throw rejectOrder('insufficient_funds_ask', `주문가능한 수량이 부족합니다: 매도 ${volume} > 잔고 ${balance} (묶임 ${locked}, ${market})`);
+      }
+
+      const manual = balance + locked - owned;
+      if (manual < -EPSILON) {
+        log('warn', `${market} 거래소 잔고(${balance + locked})가 봇 보유 수량(${owned})보다 적음 - 외부 매도 확인 필요`);
+      } else if (manual > EPSILON) {
+        log('info', `${market} 직접 보유 수량 ${normalizeVolume(manual)}은 매도하지 않음`);
+      }
+    },
+  };
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  createLedger,
+};
@@ -0,0 +1,147 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 호가 유동성/슬리피지 추정
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 진입 전에 호가(orderbook_units)를 따라 내려가며
+ * 계획한 금액의 시장가 매수와, 같은 수량의 긴급 시장가 매도 체결을 추정합니다.
+ * 
+ * 제외 조건 (config.LIQUIDITY):
+ * - spread:        매도/매수 1호가 차이가 중간가 대비 MAX_SPREAD_RATE% 초과
+ * - depth:         한쪽 호가 잔량 합계가 계획 금액 × MIN_DEPTH_MULTIPLE 미만 (호가창 안에서 다 체결되지 않는 경우 포함)
+ * - buy_slippage:  시장가 매수 평균가가 매도 1호가보다 MAX_BUY_SLIPPAGE% 넘게 높음
+ * - sell_slippage: 시장가 매도 평균가가 매수 1호가보다 MAX_SELL_SLIPPAGE% 넘게 낮음
+ * 
+ * 주문/조회는 하지 않는 순수 계산 모듈입니다.
+ * ============================================================
+ */
+
+const config = require('./config');
+
+/**
+ * 시장가 매수 체결 추정 (매도 호가를 따라 올라가며 금액만큼 체결)
+ * 
+ * @param {array} units - orderbook_units
+ * @param {number} funds - 매수 금액 (원)
+ * @returns {object} { avgPrice, volume, filled, slippage } (slippage: 매도 1호가 대비 %)
+ */
+function estimateMarketBuy(units, funds) {
+  let remaining = funds;
+  let volume = 0;
+  for (const unit of units) {
+    if (remaining <= 0) break;
+    const fillVolume = Math.min(unit.ask_size, remaining / unit.ask_price);
+    volume += fillVolume;
+    remaining -= fillVolume * unit.ask_price;
+  }
+
+  const bestAsk = units[0].ask_price;
+  const avgPrice = volume > 0 ? (funds - Math.max(remaining, 0)) / volume : bestAsk;
+  return {
+    avgPrice,
+    volume,
+    filled: remaining <= 1e-8,
+    slippage: (avgPrice - bestAsk) / bestAsk * 100,
+  };
+}
+
+/**
+ * 시장가 매도 체결 추정 (매수 호가를 따라 내려가며 수량만큼 체결)
+ * 
+ * @param {array} units - orderbook_units
+ * @param {number} volume - 매도 수량
+ * @returns {object} { avgPrice, funds, filled, slippage } (slippage: 매수 1호가 대비 %, 낮을수록 불리)
+ */
+function estimateMarketSell(units, volume) {
+  let remaining = volume;
+  let funds = 0;
+  for (const unit of units) {
+    if (remaining <= 0) break;
+    const fillVolume = Math.min(unit.bid_size, remaining);
+    funds += fillVolume * unit.bid_price;
+    remaining -= fillVolume;
+  }
+
+  const bestBid = units[0].bid_price;
+  const filledVolume = volume - Math.max(remaining, 0);
+  const avgPrice = filledVolume > 0 ? funds / filledVolume : bestBid;
+  return {
+    avgPrice,
+    funds,
+    filled: remaining <= 1e-12,
+    slippage: (bestBid - avgPrice) / bestBid * 100,
+  };
+}
+
+/**
+ * 계획 금액 기준 유동성 확인
+ * 
+ * @param {object} orderbook - 호가 데이터 (getOrderbook 결과)
+ * @param {number} budget - 계획 매수 금액 (원)
+ * @returns {object} { ok, reason, spreadRate, askDepth, bidDepth, buyAvgPrice, buySlippage, sellAvgPrice, sellSlippage }
+ *                   (ok가 false면 reason에 'spread' | 'depth' | 'buy_slippage' | 'sell_slippage' | 'no_orderbook')
+ * 
+ * @example
+ * const liquidity = checkLiquidity(orderbook, 100000);
+ * if (!liquidity.ok) log('warn', `유동성 부족: ${liquidity.reason}`);
+ */
+function checkLiquidity(orderbook, budget) {
+  const units = orderbook?.orderbook_units || [];
+  if (units.length === 0 || !(units[0].ask_price > 0) || !(units[0].bid_price > 0)) {
+    return { ok: false, reason: 'no_orderbook' };
+  }
+
+  const { MAX_SPREAD_RATE, MAX_BUY_SLIPPAGE, MAX_SELL_SLIPPAGE, MIN_DEPTH_MULTIPLE } = config.LIQUIDITY;
+  const bestAsk = units[0].ask_price;
+  const bestBid = units[0].bid_price;
+  const spreadRate = (bestAsk - bestBid) / ((bestAsk + bestBid) / 2) * 100;
+  const askDepth = units.reduce((sum, u) => sum + u.ask_price * u.ask_size, 0);
+  const bidDepth = units.reduce((sum, u) => sum + u.bid_price * u.bid_size, 0);
+
+  // 매수한 수량을 바로 시장가로 던졌을 때 (손절/긴급 청산)
+  const buy = estimateMarketBuy(units, budget);
+  const sell = estimateMarketSell(units, buy.volume);
+
+  const estimate = {
+    spreadRate,
+    askDepth,
+    bidDepth,
+    buyAvgPrice: buy.avgPrice,
+    buySlippage: buy.slippage,
+    sellAvgPrice: sell.avgPrice,
+    sellSlippage: sell.slippage,
+  };
+
+  let reason = null;
+  if (spreadRate > MAX_SPREAD_RATE) reason = 'spread';
+  else if (!buy.filled || !sell.filled || Math.min(askDepth, bidDepth) < budget * MIN_DEPTH_MULTIPLE) reason = 'depth';
+  else if (buy.slippage > MAX_BUY_SLIPPAGE) reason = 'buy_slippage';
+  else if (sell.slippage > MAX_SELL_SLIPPAGE) reason = 'sell_slippage';
+
+  return { ok: reason === null, reason, ...estimate };
+}
+
+/**
+ * 로그용 요약 문자열
+ * 
+ * @param {object} liquidity - checkLiquidity() 결과
+ * @returns {string} 요약 (예: '스프레드 0.10%, 매수 슬리피지 0.02%, 매도 슬리피지 0.05%, 호가 잔량 12,345,678원')
+ */
+function describeLiquidity(liquidity) {
+  if (liquidity.reason === 'no_orderbook') return '호가 없음';
+  return `스프레드 ${liquidity.spreadRate.toFixed(2)}%, 매수 슬리피지 ${liquidity.buySlippage.toFixed(2)}%, `
+    + `매도 슬리피지 ${liquidity.sellSlippage.toFixed(2)}%, 호가 잔량 ${Math.round(Math.min(liquidity.askDepth, liquidity.bidDepth)).toLocaleString()}원`;
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  estimateMarketBuy,
+  estimateMarketSell,
+  checkLiquidity,
+  describeLiquidity,
+};
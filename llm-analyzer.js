@@ -13,130 +13,80 @@
  * 지원 LLM:
  * - Gemini (기본, 비용 효율적)
  * - Claude (백업, 고성능)
+ * - OpenAI 호환 API, 로컬 Ollama 서버
  * 
- * config.js의 LLM.PROVIDER 설정으로 선택 가능
+ * config.js의 LLM.PROVIDER로 선택하고, 실패하면 LLM.FALLBACK 순서로 전환 (llm-providers.js)
  * ============================================================
  */
 
 const config = require('./config');
 const { log } = require('./utils');
-
-// API 엔드포인트
-const GEMINI_API = 'https://generativelanguage.googleapis.com/v1beta/models';
-const CLAUDE_API = 'https://api.anthropic.com/v1/messages';
+const { askLLM, askGemini, askClaude } = require('./llm-providers');
+const { LLM_TASK, LLM_TASK_LABELS, LLM_SCHEMAS, validateSchema, extractJson, validatePairSelection } = require('./llm-schema');
 
 /**
- * Gemini API 호출
+ * 스키마에 맞는 JSON 응답 요청 (형식 오류 시 재요청)
+ * 
+ * 응답에서 JSON을 꺼내 스키마와 추가 규칙(check)으로 검증하고,
+ * 실패하면 이전 응답과 오류 목록을 붙여 config.LLM.MAX_REPAIR_ATTEMPTS번까지 다시 요청합니다.
  * 
+ * calls를 넘기면 재요청/provider 전환을 포함한 모든 호출 기록에 task를 붙여 모으고,
+ * 응답을 받은 호출에는 파싱 결과(parsed) 또는 형식 오류(error)를 채웁니다.
+ * 
+ * @param {string} task - 작업 종류 (LLM_TASK)
  * @param {string} prompt - 사용자 프롬프트
- * @param {string} systemPrompt - 시스템 프롬프트 (AI 역할 정의)
- * @returns {Promise<string>} AI 응답 텍스트
+ * @param {string} systemPrompt - 시스템 프롬프트
+ * @param {object} schema - 응답 스키마 (llm-schema.js)
+ * @param {object} options
+ * @param {function} options.check - 추가 검증 (result => 에러 메시지 배열, 생략 가능)
+ * @param {array} options.calls - 호출 기록을 받을 배열 (감사 로그용, 생략 가능)
+ * @returns {Promise<object>} 검증된 응답
+ * @throws {Error} 재요청 후에도 형식이 맞지 않는 경우
  */
-async function askGemini(prompt, systemPrompt = null) {
-  const model = config.GEMINI.MODEL;
-  const url = `${GEMINI_API}/${model}:generateContent?key=${config.GEMINI.API_KEY}`;
+async function askStructured(task, prompt, systemPrompt, schema, { check = () => [], calls = [] } = {}) {
+  const label = LLM_TASK_LABELS[task];
+  let currentPrompt = prompt;
+
+  for (let attempt = 0; ; attempt++) {
+    const attemptCalls = [];
+    let response;
+    try {
+      response = await askLLM(currentPrompt, systemPrompt, { schema, task, calls: attemptCalls });
+    } finally {
+      attemptCalls.forEach(call => calls.push({ task, ...call, parsed: null }));
+    }
+    const answered = calls[calls.length - 1];  // 응답을 준 마지막 호출
+
+    let errors;
+    let result = null;
+    try {
+      result = extractJson(response);
+      errors = validateSchema(schema, result);
+      if (errors.length === 0) errors = check(result);
+    } catch (error) {
+      errors = [error.message];
+    }
+    answered.parsed = result;
+    if (errors.length === 0) return result;
+
+    answered.error = `응답 형식 오류: ${errors.join(', ')}`;
+    log('warn', `LLM ${label} 응답 형식 오류 (${attempt + 1}회): ${errors.join(', ')}`);
+    if (attempt >= config.LLM.MAX_REPAIR_ATTEMPTS) {
+      log('error', 'LLM 응답 파싱 실패', { response });
+      throw new Error(`LLM ${label} 응답 형식 오류: ${errors.join(', ')}`);
+    }
 
-  // Gemini 요청 본문 구성
-  const contents = [];
-  
-  // 시스템 프롬프트가 있으면 먼저 추가
-  if (systemPrompt) {
-    contents.push({
-      role: 'user',
-      parts: [{ text: systemPrompt }]
-    });
-    contents.push({
-      role: 'model',
-      parts: [{ text: '네, 이해했습니다. 해당 역할로 분석하겠습니다.' }]
-    });
-  }
-  
-  // 사용자 프롬프트 추가
-  contents.push({
-    role: 'user',
-    parts: [{ text: prompt }]
-  });
+    // 원래 요청 + 이전 응답 + 오류 목록으로 다시 요청
+    currentPrompt = `${prompt}
 
-  const body = {
-    contents,
-    generationConfig: {
-      temperature: 0.7,
-      maxOutputTokens: 4096,  // 응답 잘림 방지를 위해 증가
-    },
-  };
+이전 응답:
+${response.slice(0, 2000)}
 
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-  });
+이전 응답의 오류:
+${errors.map(e => `- ${e}`).join('\n')}
 
-  if (!res.ok) {
-    const error = await res.text();
-    throw new Error(`Gemini API Error: ${res.status} - ${error}`);
-  }
-
-  const data = await res.json();
-  return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-}
-
-/**
- * Claude API 호출
- * 
- * @param {string} prompt - 사용자 프롬프트
- * @param {string} systemPrompt - 시스템 프롬프트 (AI 역할 정의)
- * @returns {Promise<string>} AI 응답 텍스트
- */
-async function askClaude(prompt, systemPrompt = null) {
-  const messages = [{ role: 'user', content: prompt }];
-  
-  const body = {
-    model: config.CLAUDE.MODEL,
-    max_tokens: 2048,
-    messages,
-  };
-  
-  if (systemPrompt) {
-    body.system = systemPrompt;
-  }
-  
-  const res = await fetch(CLAUDE_API, {
-    method: 'POST',
-    headers: {
-      'x-api-key': config.CLAUDE.API_KEY,
-      'anthropic-version': '2023-06-01',
-      'content-type': 'application/json',
-    },
-    body: JSON.stringify(body),
-  });
-  
-  if (!res.ok) {
-    const error = await res.text();
-    throw new Error(`Claude API Error: ${res.status} - ${error}`);
-  }
-  
-  const data = await res.json();
-  return data.content[0].text;
-}
-
-/**
- * LLM 호출 (Provider에 따라 분기)
- * 
- * config.LLM.PROVIDER 설정에 따라 Gemini 또는 Claude를 호출합니다.
- * 
- * @param {string} prompt - 사용자 프롬프트
- * @param {string} systemPrompt - 시스템 프롬프트
- * @returns {Promise<string>} AI 응답 텍스트
- */
-async function askLLM(prompt, systemPrompt = null) {
-  const provider = config.LLM.PROVIDER;
-  
-  if (provider === 'gemini') {
-    return askGemini(prompt, systemPrompt);
-  } else if (provider === 'claude') {
-    return askClaude(prompt, systemPrompt);
-  } else {
-    throw new Error(`Unknown LLM provider: ${provider}`);
+오류를 고쳐 아래 스키마에 맞는 JSON 객체 하나만 응답 (설명, 코드블록 없이):
+${JSON.stringify(schema)}`;
   }
 }
 
@@ -275,9 +225,11 @@ function calculateEMA(prices, period) {
  * - 진입 추천이 없으면 null 반환 (거래 스킵용)
  * 
  * @param {array} pairsData - 페어별 시세 데이터
+ * @param {object} options
+ * @param {array} options.calls - LLM 호출 기록을 받을 배열 (llm_calls 감사 로그용, 선택)
  * @returns {Promise<object|null>} 선정 결과 (추천 없으면 null)
  */
-async function selectBestPair(pairsData) {
+async function selectBestPair(pairsData, { calls = [] } = {}) {
   // [스캔-3.5] 기본 지표 자동 추가 (LLM 호출 생략)
   log('info', '[스캔-3.5] 기본 지표(RSI, MACD, 볼린저) 계산 중...');
   const sufficiencyCheck = await checkDataSufficiency(pairsData);
@@ -307,32 +259,25 @@ ${JSON.stringify(summaryData)}
 응답형식: {"noEntry":false,"selectedPair":"KRW-XXX","koreanName":"이름","confidence":0.8,"reason":"이유","expectedReturn":1.5}
 또는: {"noEntry":true,"reason":"모든 코인이 하락 추세"}`;
 
-  const response = await askLLM(prompt, systemPrompt);
-  
-  try {
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const result = JSON.parse(jsonMatch[0]);
-      
-      // 🆕 진입 추천이 없는 경우 null 반환
-      if (result.noEntry === true) {
-        log('warn', `LLM 판단: 진입 기회 없음 - ${result.reason}`);
-        return null;
-      }
-      
-      // 🆕 신뢰도가 너무 낮은 경우도 스킵 (0.5 미만)
-      if (result.confidence < 0.5) {
-        log('warn', `LLM 판단: 신뢰도 부족 (${(result.confidence * 100).toFixed(1)}%) - ${result.reason}`);
-        return null;
-      }
-      
-      return result;
-    }
-    throw new Error('JSON 형식을 찾을 수 없습니다.');
-  } catch (e) {
-    log('error', 'LLM 응답 파싱 실패', { response });
-    throw e;
+  const markets = summaryData.map(p => p.market);
+  const result = await askStructured(LLM_TASK.PAIR_SELECTION, prompt, systemPrompt, LLM_SCHEMAS.PAIR_SELECTION, {
+    check: selection => validatePairSelection(selection, markets),
+    calls,
+  });
+
+  // 🆕 진입 추천이 없는 경우 null 반환
+  if (result.noEntry === true) {
+    log('warn', `LLM 판단: 진입 기회 없음 - ${result.reason}`);
+    return null;
   }
+
+  // 🆕 신뢰도가 너무 낮은 경우도 스킵 (0.5 미만)
+  if (result.confidence < 0.5) {
+    log('warn', `LLM 판단: 신뢰도 부족 (${(result.confidence * 100).toFixed(1)}%) - ${result.reason}`);
+    return null;
+  }
+
+  return result;
 }
 
 /**
@@ -346,9 +291,11 @@ ${JSON.stringify(summaryData)}
  * @param {array} candles - 캔들 데이터
  * @param {object} orderbook - 호가 데이터
  * @param {number} currentPrice - 현재가
+ * @param {object} options
+ * @param {array} options.calls - LLM 호출 기록을 받을 배열 (llm_calls 감사 로그용, 선택)
  * @returns {Promise<object>} 분석 결과
  */
-async function analyzeTradePrices(market, koreanName, candles, orderbook, currentPrice) {
+async function analyzeTradePrices(market, koreanName, candles, orderbook, currentPrice, { calls = [] } = {}) {
   // 🆕 캔들 데이터 요약 (고가, 저가, 종가만)
   const recentCandles = candles.slice(0, 10).map(c => ({
     h: c.high_price,
@@ -368,20 +315,9 @@ async function analyzeTradePrices(market, koreanName, candles, orderbook, curren
 
 응답:{"buyPrice":숫자,"takeProfit":숫자,"stopLoss":숫자,"analysis":"요약"}`;
 
-  const response = await askLLM(prompt, systemPrompt);
-  
-  try {
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const result = JSON.parse(jsonMatch[0]);
-      log('info', `LLM 분석 결과: 매수 ${result.buyPrice}, 익절 ${result.takeProfit}, 손절 ${result.stopLoss}`);
-      return result;
-    }
-    throw new Error('JSON 형식을 찾을 수 없습니다.');
-  } catch (e) {
-    log('error', 'LLM 응답 파싱 실패', { response });
-    throw e;
-  }
+  const result = await askStructured(LLM_TASK.TRADE_PRICES, prompt, systemPrompt, LLM_SCHEMAS.TRADE_PRICES, { calls });
+  log('info', `LLM 분석 결과: 매수 ${result.buyPrice}, 익절 ${result.takeProfit}, 손절 ${result.stopLoss}`);
+  return result;
 }
 
 // ============================================================
@@ -393,4 +329,5 @@ module.exports = {
   askClaude,
   selectBestPair,
   analyzeTradePrices,
+  enrichPairsData,
 };
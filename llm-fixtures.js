@@ -0,0 +1,214 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - LLM 응답 기록/재생 및 오프라인 스텁
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * API 키와 네트워크 없이 같은 결과를 재현할 수 있도록 LLM 응답을 다룹니다.
+ * 
+ * - 기록/재생 (config.LLM.FIXTURES): 시스템 프롬프트 + 프롬프트의 해시(sha256)로 응답을 파일에 저장하고,
+ *   replay 모드에서는 provider를 호출하지 않고 저장된 응답을 순서대로 돌려줍니다 (askLLM이 사용).
+ * - 스텁 provider (config.STUB): 스크립트 파일의 응답을 작업별로 순서대로 돌려주고,
+ *   다 쓰면 기본 규칙(상승률 최대 페어, 고정 익절/손절 폭)으로 응답합니다.
+ * 
+ * fixture 파일 형식 (JSON):
+ *   {
+ *     "<프롬프트 해시>": { "task": "pair_selection", "systemPrompt": "...", "prompt": "...", "responses": ["응답 텍스트", ...] }
+ *   }
+ *   같은 프롬프트가 여러 번 호출되면 responses를 순서대로 쓰고, 다 쓰면 마지막 응답을 반복합니다.
+ *   record 모드는 실행 중 처음 만난 해시의 응답 목록을 새로 쓰므로 같은 파일에 다시 기록해도 쌓이지 않습니다.
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const { log } = require('./utils');
+const { LLM_TASK } = require('./llm-schema');
+
+// 파일 경로 → fixture 저장소
+const stores = new Map();
+
+/**
+ * 프롬프트 해시 (fixture 키)
+ * 
+ * @param {string} prompt - 사용자 프롬프트
+ * @param {string} systemPrompt - 시스템 프롬프트
+ * @returns {string} sha256 hex
+ */
+function promptHash(prompt, systemPrompt = null) {
+  return crypto.createHash('sha256').update(JSON.stringify([systemPrompt, prompt])).digest('hex');
+}
+
+/**
+ * fixture 저장소 생성
+ * 
+ * @param {string} file - fixture 파일 경로 (없으면 빈 저장소로 시작)
+ * @returns {object} 저장소 { replay, record, size }
+ * 
+ * @example
+ * const store = createFixtureStore('data/llm-fixtures.json');
+ * store.record(prompt, systemPrompt, responseText, 'trade_prices');
+ * store.replay(prompt, systemPrompt);  // 'responseText' (없으면 null)
+ */
+function createFixtureStore(file) {
+  const fixtures = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : {};
+  const cursors = new Map();      // 해시 → 다음에 재생할 응답 위치
+  const recorded = new Set();     // 이번 실행에서 기록한 해시
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixtures, null, 2));
+  }
+
+  return {
+    /**
+     * 저장된 응답 재생
+     * 
+     * @param {string} prompt - 사용자 프롬프트
+     * @param {string} systemPrompt - 시스템 프롬프트
+     * @returns {string|null} 응답 텍스트 (저장된 응답이 없으면 null)
+     */
+    replay(prompt, systemPrompt) {
+      const hash = promptHash(prompt, systemPrompt);
+      const responses = fixtures[hash]?.responses;
+      if (!responses || responses.length === 0) return null;
+
+      const cursor = cursors.get(hash) || 0;
+      cursors.set(hash, cursor + 1);
+      return responses[Math.min(cursor, responses.length - 1)];
+    },
+
+    /**
+     * 응답 기록 (바로 파일에 저장)
+     * 
+     * @param {string} prompt - 사용자 프롬프트
+     * @param {string} systemPrompt - 시스템 프롬프트
+     * @param {string} response - 응답 텍스트
+     * @param {string} task - 작업 종류 (LLM_TASK, 파일을 읽기 쉽게 함께 저장)
+     */
+    record(prompt, systemPrompt, response, task = null) {
+      const hash = promptHash(prompt, systemPrompt);
+      if (!recorded.has(hash)) {
+        fixtures[hash] = { task, systemPrompt, prompt, responses: [] };
+        recorded.add(hash);
+      }
+      fixtures[hash].responses.push(response);
+      save();
+    },
+
+    /** 저장된 프롬프트 수 */
+    size: () => Object.keys(fixtures).length,
+  };
+}
+
+/**
+ * 설정된 fixture 파일의 저장소 (파일별로 한 번만 읽음)
+ * 
+ * @param {string} file - fixture 파일 경로 (기본값 config.LLM.FIXTURES.FILE)
+ * @returns {object} createFixtureStore() 결과
+ */
+function getFixtureStore(file = config.LLM.FIXTURES.FILE) {
+  if (!stores.has(file)) {
+    const store = createFixtureStore(file);
+    log('info', `LLM fixture 파일 ${file} (${store.size()}개 프롬프트)`);
+    stores.set(file, store);
+  }
+  return stores.get(file);
+}
+
+// ============================================================
+// 오프라인 스텁 provider
+// ============================================================
+
+// 작업 → 스크립트 응답 대기열 (처음 호출할 때 config.STUB.SCRIPT에서 읽음)
+let stubQueues = null;
+
+/**
+ * 스텁 기본 규칙: 페어 선정 (프롬프트의 페어 요약에서 상승률 최대 페어)
+ * 
+ * @param {string} prompt - llm-analyzer.js selectBestPair() 프롬프트
+ * @returns {object} PAIR_SELECTION 스키마 응답
+ */
+function stubPairSelection(prompt) {
+  const summary = prompt.match(/^\[.*\]$/m);
+  const pairs = summary ? JSON.parse(summary[0]) : [];
+  const best = pairs
+    .map(p => ({ ...p, changeRate: parseFloat(p.change) }))
+    .filter(p => p.changeRate > 0)
+    .sort((a, b) => b.changeRate - a.changeRate)[0];
+
+  if (!best) return { noEntry: true, reason: '스텁: 상승 중인 페어 없음' };
+  return {
+    noEntry: false,
+    selectedPair: best.market,
+    koreanName: best.name,
+    confidence: 0.6,
+    reason: '스텁: 상승률 최대 페어',
+  };
+}
+
+/**
+ * 스텁 기본 규칙: 매매가 (매도 1호가 매수, config.BACKTEST 익절/손절 폭)
+ * 
+ * @param {string} prompt - llm-analyzer.js analyzeTradePrices() 프롬프트
+ * @returns {object} TRADE_PRICES 스키마 응답
+ */
+function stubTradePrices(prompt) {
+  const ask = prompt.match(/매도호가:([\d.]+)/);
+  const current = prompt.match(/현재가:([\d.]+)/);
+  const buyPrice = parseFloat(ask?.[1] || current?.[1]);
+  if (!buyPrice) throw new Error('스텁: 프롬프트에서 가격을 찾을 수 없음');
+
+  return {
+    buyPrice,
+    takeProfit: buyPrice * (1 + config.BACKTEST.STUB_TAKE_PROFIT_RATE),
+    stopLoss: buyPrice * (1 - config.BACKTEST.STUB_STOP_LOSS_RATE),
+    analysis: '스텁: 고정 익절/손절 폭',
+  };
+}
+
+const STUB_RULES = {
+  [LLM_TASK.PAIR_SELECTION]: stubPairSelection,
+  [LLM_TASK.TRADE_PRICES]: stubTradePrices,
+};
+
+/**
+ * 스텁 provider 호출 (네트워크 없음)
+ * 
+ * @param {string} prompt - 사용자 프롬프트
+ * @param {string} systemPrompt - 시스템 프롬프트 (사용 안 함)
+ * @param {object} settings - provider 설정 (기본값 config.STUB)
+ * @param {AbortSignal} signal - 타임아웃 신호 (사용 안 함)
+ * @param {object} options - 요청 옵션 ({ task }: 작업 종류, 필수)
+ * @returns {Promise<object>} { text, usage }
+ */
+async function askStub(prompt, systemPrompt = null, settings = config.STUB, signal = undefined, options = {}) {
+  const rule = STUB_RULES[options.task];
+  if (!rule) throw new Error(`스텁: 지원하지 않는 작업 (${options.task})`);
+
+  if (!stubQueues) {
+    const script = settings.SCRIPT ? JSON.parse(fs.readFileSync(settings.SCRIPT, 'utf-8')) : {};
+    stubQueues = new Map(Object.keys(STUB_RULES).map(task => [task, [...(script[task] || [])]]));
+  }
+
+  const scripted = stubQueues.get(options.task).shift();
+  const response = scripted ?? rule(prompt);
+  return {
+    text: typeof response === 'string' ? response : JSON.stringify(response),
+    usage: { inputTokens: 0, outputTokens: 0 },
+  };
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  promptHash,
+  createFixtureStore,
+  getFixtureStore,
+  askStub,
+};
@@ -0,0 +1,397 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - LLM Provider 레지스트리 (장애 시 자동 전환)
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * LLM 백엔드를 이름으로 등록하고, 순서대로 시도하는 호출 체인을 제공합니다.
+ * 
+ * 기본 등록 provider (설정은 config.js의 같은 이름 섹션):
+ * - gemini: Google Gemini (config.GEMINI)
+ * - claude: Anthropic Claude (config.CLAUDE)
+ * - openai: OpenAI 호환 Chat Completions API (config.OPENAI, BASE_URL로 다른 호환 서버 지정 가능)
+ * - ollama: 로컬 Ollama 스타일 HTTP 서버 (config.OLLAMA)
+ * - stub: 네트워크 없이 정해진 결정을 돌려주는 스텁 (config.STUB, llm-fixtures.js)
+ * 
+ * 호출 순서는 config.LLM.PROVIDER → config.LLM.FALLBACK 입니다.
+ * provider가 에러를 내거나 TIMEOUT 안에 응답하지 않으면 다음 provider로 넘어가고,
+ * 모두 실패했을 때만 에러를 던집니다. API 키가 없는 provider는 건너뜁니다
+ * (키 없이 쓰는 OpenAI 호환 로컬 서버는 OPENAI_KEY에 아무 값이나 넣거나 registerProvider로 따로 등록).
+ * 
+ * config.LLM.FIXTURES.MODE가 'record'면 받은 응답을 fixture 파일에 저장하고,
+ * 'replay'면 provider를 호출하지 않고 저장된 응답을 돌려줍니다 (llm-fixtures.js).
+ * ============================================================
+ */
+
+const config = require('./config');
+const { log, now } = require('./utils');
+const { getFixtureStore, promptHash, askStub } = require('./llm-fixtures');
+
+// API 엔드포인트
+const GEMINI_API = 'https://generativelanguage.googleapis.com/v1beta/models';
+const CLAUDE_API = 'https://api.anthropic.com/v1/messages';
+
+// 이름 → { call, settings, isAvailable }
+const providers = new Map();
+
+/**
+ * HTTP 응답 확인 후 JSON 반환
+ * 
+ * @param {Response} res - fetch 응답
+ * @param {string} label - 에러 메시지용 provider 이름
+ * @returns {Promise<object>} 응답 본문
+ */
+async function readJson(res, label) {
+  if (!res.ok) {
+    const error = await res.text();
+    throw new Error(`${label} API Error: ${res.status} - ${error}`);
+  }
+  return res.json();
+}
+
+/**
+ * Gemini API 호출
+ * 
+ * @param {string} prompt - 사용자 프롬프트
+ * @param {string} systemPrompt - 시스템 프롬프트 (AI 역할 정의)
+ * @param {object} settings - provider 설정 (기본값 config.GEMINI)
+ * @param {AbortSignal} signal - 타임아웃 신호
+ * @param {object} options - 요청 옵션 ({ schema }: 응답 JSON Schema, JSON_MODE면 네이티브 JSON 출력 사용)
+ * @returns {Promise<object>} { text, usage: { inputTokens, outputTokens } }
+ */
+async function askGemini(prompt, systemPrompt = null, settings = config.GEMINI, signal = undefined, options = {}) {
+  const url = `${GEMINI_API}/${settings.MODEL}:generateContent?key=${settings.API_KEY}`;
+
+  // Gemini 요청 본문 구성
+  const contents = [];
+
+  // 시스템 프롬프트가 있으면 먼저 추가
+  if (systemPrompt) {
+    contents.push({
+      role: 'user',
+      parts: [{ text: systemPrompt }]
+    });
+    contents.push({
+      role: 'model',
+      parts: [{ text: '네, 이해했습니다. 해당 역할로 분석하겠습니다.' }]
+    });
+  }
+
+  // 사용자 프롬프트 추가
+  contents.push({
+    role: 'user',
+    parts: [{ text: prompt }]
+  });
+
+  const body = {
+    contents,
+    generationConfig: {
+      temperature: settings.TEMPERATURE,
+      maxOutputTokens: settings.MAX_TOKENS,
+    },
+  };
+
+  // 네이티브 JSON 출력 (스키마 지정)
+  if (options.schema && settings.JSON_MODE) {
+    body.generationConfig.responseMimeType = 'application/json';
+    body.generationConfig.responseJsonSchema = options.schema;
+  }
+
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  const data = await readJson(res, 'Gemini');
+  return {
+    text: data.candidates?.[0]?.content?.parts?.[0]?.text || '',
+    usage: { inputTokens: data.usageMetadata?.promptTokenCount, outputTokens: data.usageMetadata?.candidatesTokenCount },
+  };
+}
+
+/**
+ * Claude API 호출
+ * 
+ * @param {string} prompt - 사용자 프롬프트
+ * @param {string} systemPrompt - 시스템 프롬프트 (AI 역할 정의)
+ * @param {object} settings - provider 설정 (기본값 config.CLAUDE)
+ * @param {AbortSignal} signal - 타임아웃 신호
+ * @param {object} options - 요청 옵션 ({ schema }: 응답 JSON Schema, JSON_MODE면 네이티브 JSON 출력 사용)
+ * @returns {Promise<object>} { text, usage: { inputTokens, outputTokens } }
+ */
+async function askClaude(prompt, systemPrompt = null, settings = config.CLAUDE, signal = undefined, options = {}) {
+  const body = {
+    model: settings.MODEL,
+    max_tokens: settings.MAX_TOKENS,
+    temperature: settings.TEMPERATURE,
+    messages: [{ role: 'user', content: prompt }],
+  };
+
+  // Messages API에는 JSON 출력 모드가 없으므로 스키마는 프롬프트와 검증(llm-schema.js)으로만 강제
+  if (systemPrompt) {
+    body.system = systemPrompt;
+  }
+
+  const res = await fetch(CLAUDE_API, {
+    method: 'POST',
+    headers: {
+      'x-api-key': settings.API_KEY,
+      'anthropic-version': '2023-06-01',
+      'content-type': 'application/json',
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  const data = await readJson(res, 'Claude');
+  return {
+    text: data.content[0].text,
+    usage: { inputTokens: data.usage?.input_tokens, outputTokens: data.usage?.output_tokens },
+  };
+}
+
+/**
+ * OpenAI 호환 Chat Completions API 호출
+ * 
+ * BASE_URL을 바꾸면 같은 형식을 지원하는 다른 서버(vLLM, LM Studio 등)에도 사용할 수 있습니다.
+ * 
+ * @param {string} prompt - 사용자 프롬프트
+ * @param {string} systemPrompt - 시스템 프롬프트
+ * @param {object} settings - provider 설정 (기본값 config.OPENAI)
+ * @param {AbortSignal} signal - 타임아웃 신호
+ * @param {object} options - 요청 옵션 ({ schema }: 응답 JSON Schema, JSON_MODE면 네이티브 JSON 출력 사용)
+ * @returns {Promise<object>} { text, usage: { inputTokens, outputTokens } }
+ */
+async function askOpenAI(prompt, systemPrompt = null, settings = config.OPENAI, signal = undefined, options = {}) {
+  const messages = [];
+  if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+  messages.push({ role: 'user', content: prompt });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.API_KEY) headers.Authorization = `Bearer ${settings.API_KEY}`;
+
+  const body = {
+    model: settings.MODEL,
+    messages,
+    temperature: settings.TEMPERATURE,
+    max_tokens: settings.MAX_TOKENS,
+  };
+
+  // 네이티브 구조화 출력 (스키마 지정)
+  if (options.schema && settings.JSON_MODE) {
+    body.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: options.schema } };
+  }
+
+  const res = await fetch(`${settings.BASE_URL}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  const data = await readJson(res, 'OpenAI');
+  return {
+    text: data.choices?.[0]?.message?.content || '',
+    usage: { inputTokens: data.usage?.prompt_tokens, outputTokens: data.usage?.completion_tokens },
+  };
+}
+
+/**
+ * 로컬 Ollama 스타일 서버 호출 (/api/chat, 스트리밍 없이)
+ * 
+ * @param {string} prompt - 사용자 프롬프트
+ * @param {string} systemPrompt - 시스템 프롬프트
+ * @param {object} settings - provider 설정 (기본값 config.OLLAMA)
+ * @param {AbortSignal} signal - 타임아웃 신호
+ * @param {object} options - 요청 옵션 ({ schema }: 응답 JSON Schema, JSON_MODE면 네이티브 JSON 출력 사용)
+ * @returns {Promise<object>} { text, usage: { inputTokens, outputTokens } }
+ */
+async function askOllama(prompt, systemPrompt = null, settings = config.OLLAMA, signal = undefined, options = {}) {
+  const messages = [];
+  if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+  messages.push({ role: 'user', content: prompt });
+
+  const body = {
+    model: settings.MODEL,
+    messages,
+    stream: false,
+    options: { temperature: settings.TEMPERATURE, num_predict: settings.MAX_TOKENS },
+  };
+
+  // 구조화 출력 (format에 JSON Schema 지정)
+  if (options.schema && settings.JSON_MODE) {
+    body.format = options.schema;
+  }
+
+  const res = await fetch(`${settings.BASE_URL}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  const data = await readJson(res, 'Ollama');
+  return {
+    text: data.message?.content || '',
+    usage: { inputTokens: data.prompt_eval_count, outputTokens: data.eval_count },
+  };
+}
+
+/**
+ * provider 등록 (같은 이름이면 교체)
+ * 
+ * @param {string} name - provider 이름 (config.LLM.PROVIDER / FALLBACK에 쓰는 값)
+ * @param {object} provider
+ * @param {function} provider.call - (prompt, systemPrompt, settings, signal, options) => Promise<{ text, usage }> (문자열만 반환해도 됨)
+ * @param {function} provider.settings - 호출 시점의 설정 반환 ({ MODEL, TEMPERATURE, MAX_TOKENS, TIMEOUT, ... })
+ * @param {function} provider.isAvailable - 사용 가능 여부 (API 키 등, 생략 시 항상 사용)
+ * 
+ * @example
+ * registerProvider('local', {
+ *   call: askOpenAI,
+ *   settings: () => ({ ...config.OPENAI, BASE_URL: 'http://localhost:8000/v1', API_KEY: null }),
+ * });
+ */
+function registerProvider(name, { call, settings, isAvailable = () => true }) {
+  providers.set(name, { call, settings, isAvailable });
+}
+
+/**
+ * 등록된 provider 이름 목록
+ * 
+ * @returns {array} 이름 목록
+ */
+function listProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * 호출 순서 (config.LLM.PROVIDER → FALLBACK, 중복 제거)
+ * 
+ * @returns {array} provider 이름 목록
+ */
+function providerChain() {
+  return [...new Set([config.LLM.PROVIDER, ...config.LLM.FALLBACK])];
+}
+
+/**
+ * provider 하나 호출 (TIMEOUT이 지나면 요청 중단)
+ * 
+ * @param {string} name - provider 이름
+ * @param {string} prompt - 사용자 프롬프트
+ * @param {string} systemPrompt - 시스템 프롬프트
+ * @param {object} options - 요청 옵션 ({ schema })
+ * @returns {Promise<object>} { text, usage: { inputTokens, outputTokens } } (사용량을 모르면 null)
+ */
+async function callProvider(name, prompt, systemPrompt, options = {}) {
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`Unknown LLM provider: ${name}`);
+
+  // signal을 쓰지 않는 provider도 TIMEOUT에 끊기도록 타이머와 경쟁
+  const settings = provider.settings();
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      reject(new Error(`${name} 응답 시간 초과 (${settings.TIMEOUT / 1000}초)`));
+      controller.abort();
+    }, settings.TIMEOUT);
+  });
+
+  try {
+    const reply = await Promise.race([provider.call(prompt, systemPrompt, settings, controller.signal, options), timeout]);
+    return typeof reply === 'string'
+      ? { text: reply, usage: { inputTokens: null, outputTokens: null } }
+      : { text: reply.text, usage: { inputTokens: reply.usage?.inputTokens ?? null, outputTokens: reply.usage?.outputTokens ?? null } };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * LLM 호출 (장애 시 다음 provider로 전환)
+ * 
+ * @param {string} prompt - 사용자 프롬프트
+ * @param {string} systemPrompt - 시스템 프롬프트
+ * @param {object} options - 요청 옵션
+ * @param {object} options.schema - 응답 JSON Schema (지원하는 provider는 JSON 출력 모드 사용)
+ * @param {string} options.task - 작업 종류 (LLM_TASK, 스텁 provider와 fixture 기록에 사용)
+ * @param {array} options.calls - 호출 기록을 받을 배열 (provider 시도마다 하나씩 추가, 감사 로그용)
+ * @returns {Promise<string>} AI 응답 텍스트
+ * @throws {Error} 모든 provider가 실패했거나 replay 모드에서 저장된 응답이 없는 경우
+ */
+async function askLLM(prompt, systemPrompt = null, options = {}) {
+  const { MODE, ON_MISS } = config.LLM.FIXTURES;
+  const failures = [];
+  let chain = providerChain();
+
+  // 재생: 저장된 응답이 있으면 provider를 호출하지 않음
+  if (MODE === 'replay') {
+    const response = getFixtureStore().replay(prompt, systemPrompt);
+    const call = { provider: 'replay', model: null, systemPrompt, prompt, response, usage: null, latencyMs: 0, error: null };
+    if (response !== null) {
+      if (options.calls) options.calls.push(call);
+      return response;
+    }
+
+    const miss = `저장된 응답 없음 (${promptHash(prompt, systemPrompt).slice(0, 12)}, ${config.LLM.FIXTURES.FILE})`;
+    if (ON_MISS !== 'stub') {
+      if (options.calls) options.calls.push({ ...call, error: miss });
+      throw new Error(`LLM 재생 실패: ${miss} - record 모드로 다시 기록하세요`);
+    }
+    log('warn', `LLM 재생: ${miss} - 스텁으로 응답`);
+    chain = ['stub'];
+  }
+
+  for (const name of chain) {
+    const provider = providers.get(name);
+    if (provider && !provider.isAvailable()) continue;
+
+    // 호출 기록: { provider, model, systemPrompt, prompt, response, usage, latencyMs, error }
+    const call = { provider: name, model: provider?.settings().MODEL ?? null, systemPrompt, prompt, response: null, usage: null, latencyMs: null, error: null };
+    if (options.calls) options.calls.push(call);
+    const startedAt = now();
+
+    try {
+      const reply = await callProvider(name, prompt, systemPrompt, options);
+      Object.assign(call, { response: reply.text, usage: reply.usage, latencyMs: now() - startedAt });
+      if (failures.length > 0) log('warn', `LLM ${name}(으)로 전환하여 응답 받음`);
+      if (MODE === 'record') getFixtureStore().record(prompt, systemPrompt, reply.text, options.task);
+      return reply.text;
+    } catch (error) {
+      Object.assign(call, { error: error.message, latencyMs: now() - startedAt });
+      log('warn', `LLM ${name} 호출 실패: ${error.message}`);
+      failures.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(failures.length > 0
+    ? `모든 LLM provider 실패 - ${failures.join(' / ')}`
+    : `사용 가능한 LLM provider 없음 (${providerChain().join(', ')})`);
+}
+
+// 기본 provider 등록
+registerProvider('gemini', { call: askGemini, settings: () => config.GEMINI, isAvailable: () => Boolean(config.GEMINI.API_KEY) });
+registerProvider('claude', { call: askClaude, settings: () => config.CLAUDE, isAvailable: () => Boolean(config.CLAUDE.API_KEY) });
+registerProvider('openai', { call: askOpenAI, settings: () => config.OPENAI, isAvailable: () => Boolean(config.OPENAI.API_KEY) });
+registerProvider('ollama', { call: askOllama, settings: () => config.OLLAMA });
+registerProvider('stub', { call: askStub, settings: () => config.STUB });
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  askLLM,
+  askGemini,
+  askClaude,
+  askOpenAI,
+  askOllama,
+  registerProvider,
+  listProviders,
+  providerChain,
+  callProvider,
+};
@@ -0,0 +1,198 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - LLM 응답 스키마 검증
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * LLM 작업별 응답 형식을 JSON Schema(일부 키워드)로 선언하고,
+ * 응답 텍스트에서 JSON을 꺼내 엄격하게 검증합니다.
+ * 
+ * 지원 키워드: type(object/string/number/integer/boolean), properties, required,
+ * additionalProperties(false), enum, minimum, maximum, exclusiveMinimum, minLength, maxLength, pattern
+ * 
+ * 스키마는 provider의 JSON 출력 모드 요청에도 함께 전달됩니다 (llm-providers.js).
+ * 검증 실패 시 재요청(repair)은 llm-analyzer.js가 담당합니다.
+ * ============================================================
+ */
+
+// LLM 작업 종류 (llm_calls.task)
+const LLM_TASK = {
+  PAIR_SELECTION: 'pair_selection',
+  TRADE_PRICES: 'trade_prices',
+};
+
+// 작업 이름 (로그용)
+const LLM_TASK_LABELS = {
+  [LLM_TASK.PAIR_SELECTION]: '페어 선정',
+  [LLM_TASK.TRADE_PRICES]: '매매가 분석',
+};
+
+// 작업별 응답 스키마
+const LLM_SCHEMAS = {
+  // [스캔-4] 페어 선정 (noEntry가 false면 selectedPair/confidence 필수 - validatePairSelection)
+  PAIR_SELECTION: {
+    type: 'object',
+    properties: {
+      noEntry: { type: 'boolean' },
+      selectedPair: { type: 'string', pattern: '^KRW-[A-Z0-9]+$' },
+      koreanName: { type: 'string' },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      reason: { type: 'string', minLength: 1 },
+      expectedReturn: { type: 'number' },
+    },
+    required: ['noEntry', 'reason'],
+    additionalProperties: false,
+  },
+
+  // [스캔-5] 매수가/익절가/손절가
+  TRADE_PRICES: {
+    type: 'object',
+    properties: {
+      buyPrice: { type: 'number', exclusiveMinimum: 0 },
+      takeProfit: { type: 'number', exclusiveMinimum: 0 },
+      stopLoss: { type: 'number', exclusiveMinimum: 0 },
+      analysis: { type: 'string' },
+    },
+    required: ['buyPrice', 'takeProfit', 'stopLoss', 'analysis'],
+    additionalProperties: false,
+  },
+};
+
+/**
+ * 값의 JSON 타입 이름
+ * 
+ * @param {*} value - 검사할 값
+ * @returns {string} 'null' | 'array' | 'integer' | 'number' | typeof
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * 스키마 검증
+ * 
+ * @param {object} schema - JSON Schema (지원 키워드는 파일 상단 참고)
+ * @param {*} value - 검증할 값
+ * @param {string} path - 에러 메시지용 경로 (재귀 호출용)
+ * @returns {array} 에러 메시지 목록 (비어 있으면 통과)
+ * 
+ * @example
+ * validateSchema(LLM_SCHEMAS.TRADE_PRICES, { buyPrice: '100' });
+ * // ['buyPrice: number 필요 (string)', 'takeProfit: 필수 항목 없음', ...]
+ */
+function validateSchema(schema, value, path = '') {
+  const label = path || '응답';
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const matches = actual === schema.type
+      || (schema.type === 'number' && actual === 'integer' && Number.isFinite(value));
+    if (!matches) return [`${label}: ${schema.type} 필요 (${actual})`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: ${schema.enum.join(' | ')} 중 하나여야 함 (${JSON.stringify(value)})`);
+  }
+
+  if (actual === 'number' || actual === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label}: ${schema.minimum} 이상이어야 함 (${value})`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${label}: ${schema.maximum} 이하여야 함 (${value})`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${label}: ${schema.exclusiveMinimum}보다 커야 함 (${value})`);
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${label}: 빈 문자열`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${label}: ${schema.maxLength}자 초과`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${label}: 형식 불일치 (${value})`);
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key}: 필수 항목 없음`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], child, childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: 정의되지 않은 항목`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 응답 텍스트에서 JSON 객체 추출
+ * 
+ * 코드 블록(```json)이나 앞뒤 설명이 붙은 응답도 처리하고,
+ * 첫 번째 '{'부터 짝이 맞는 '}'까지를 파싱합니다 (문자열 안의 괄호는 무시).
+ * 
+ * @param {string} text - LLM 응답 텍스트
+ * @returns {object} 파싱한 값
+ * @throws {Error} JSON 객체가 없거나 잘렸거나 파싱할 수 없는 경우
+ */
+function extractJson(text) {
+  const start = text.indexOf('{');
+  if (start < 0) throw new Error('JSON 객체 없음');
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}' && --depth === 0) {
+      try {
+        return JSON.parse(text.slice(start, i + 1));
+      } catch (error) {
+        throw new Error(`JSON 파싱 실패: ${error.message}`);
+      }
+    }
+  }
+  throw new Error('JSON 객체가 닫히지 않음 (응답 잘림)');
+}
+
+/**
+ * 페어 선정 응답의 조건부 검증 (스키마로 표현하지 않는 규칙)
+ * 
+ * @param {object} result - 스키마 검증을 통과한 응답
+ * @param {array} markets - 후보 마켓 코드 목록
+ * @returns {array} 에러 메시지 목록
+ */
+function validatePairSelection(result, markets) {
+  if (result.noEntry) return [];
+
+  const errors = [];
+  if (result.selectedPair === undefined) errors.push('selectedPair: noEntry가 false면 필수');
+  else if (!markets.includes(result.selectedPair)) errors.push(`selectedPair: 후보 목록에 없는 마켓 (${result.selectedPair})`);
+  if (result.confidence === undefined) errors.push('confidence: noEntry가 false면 필수');
+  return errors;
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  LLM_TASK,
+  LLM_TASK_LABELS,
+  LLM_SCHEMAS,
+  validateSchema,
+  extractJson,
+  validatePairSelection,
+};
@@ -0,0 +1,166 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 마켓별 거래 정책 (허용/차단/쿨다운)
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 스캔 단계(scanPairs)에서 LLM 호출 전에 거래하지 않을 마켓을 걸러냅니다.
+ * 
+ * 정책 (market_policies.policy):
+ * - allow:    허용 목록 - 하나라도 있으면 목록에 있는 마켓만 거래 (수동)
+ * - deny:     차단 목록 - 거래하지 않음 (수동)
+ * - cooldown: 손실 후 COOLDOWN_TIME 동안 같은 마켓 재진입 금지 (자동)
+ * - ban:      BAN_WINDOW 안에 BAN_AFTER_LOSSES회 손실한 마켓 영구 차단 (자동, 수동 해제)
+ * 
+ * config.MARKET_POLICY.ALLOW / DENY의 마켓은 DB 목록과 합쳐서 적용합니다.
+ * 수동 목록은 실거래/모의거래에 함께 적용되고, 자동 쿨다운/차단은 모드별로 따로 관리합니다.
+ * 정책은 DB에 저장되므로 재시작해도 유지됩니다.
+ * ============================================================
+ */
+
+const config = require('./config');
+const { log, now, toMySQLDateTime } = require('./utils');
+
+// 정책 종류 (market_policies.policy)
+const MARKET_POLICY = {
+  ALLOW: 'allow',
+  DENY: 'deny',
+  COOLDOWN: 'cooldown',
+  BAN: 'ban',
+};
+
+/**
+ * 현재 유효한 정책 불러오기
+ * 
+ * @param {object} db - 거래 기록 저장소 (db.js 또는 백테스트 메모리 DB)
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<object>} { allow: Set<마켓>, blocked: Map<마켓, 사유> }
+ */
+async function loadMarketPolicies(db, isSimulated) {
+  const allow = new Set(config.MARKET_POLICY.ALLOW);
+  const blocked = new Map(config.MARKET_POLICY.DENY.map(market => [market, '차단 목록 (config)']));
+
+  for (const row of await db.getActiveMarketPolicies(toMySQLDateTime(new Date(now())), isSimulated)) {
+    if (row.policy === MARKET_POLICY.ALLOW) {
+      allow.add(row.market);
+    } else if (!blocked.has(row.market)) {
+      // DB에는 UTC 'YYYY-MM-DD HH:MM:SS'로 저장되어 있음 (toMySQLDateTime)
+      const until = row.expires_at
+        ? ` ~ ${new Date(Date.parse(`${row.expires_at.replace(' ', 'T')}Z`)).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' })}`
+        : '';
+      blocked.set(row.market, `${row.policy}${until}${row.reason ? ` - ${row.reason}` : ''}`);
+    }
+  }
+  return { allow, blocked };
+}
+
+/**
+ * 정책에 따라 마켓 목록 필터링
+ * 
+ * @param {object} db - 거래 기록 저장소
+ * @param {array} markets - 마켓 목록 ({ market, ... })
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<array>} 거래 가능한 마켓 목록
+ */
+async function applyMarketPolicies(db, markets, isSimulated) {
+  if (!config.MARKET_POLICY.ENABLED) return markets;
+
+  const { allow, blocked } = await loadMarketPolicies(db, isSimulated);
+  return markets.filter(({ market }) => {
+    if (allow.size > 0 && !allow.has(market)) return false;
+    if (blocked.has(market)) {
+      log('info', `${market} 제외 - ${blocked.get(market)}`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * 마켓 하나가 지금 거래 가능한지 확인
+ * 
+ * @param {object} db - 거래 기록 저장소
+ * @param {string} market - 마켓 코드
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<boolean>} 거래 가능 여부
+ */
+async function isMarketAllowed(db, market, isSimulated) {
+  return (await applyMarketPolicies(db, [{ market }], isSimulated)).length > 0;
+}
+
+/**
+ * 거래 결과 반영 (손실이면 쿨다운, 반복 손실이면 영구 차단)
+ * 
+ * 영구 차단 판단은 마지막 수동 해제 이후의 손실만 셉니다 (해제 직후 다시 차단되지 않도록).
+ * 
+ * @param {object} db - 거래 기록 저장소
+ * @param {object} trade
+ * @param {string} trade.market - 마켓 코드
+ * @param {number} trade.profitAmount - 실현 손익 (원)
+ * @param {boolean} trade.isSimulated - 모의거래 여부
+ */
+async function recordMarketOutcome(db, { market, profitAmount, isSimulated }) {
+  const { ENABLED, COOLDOWN_TIME, BAN_AFTER_LOSSES, BAN_WINDOW } = config.MARKET_POLICY;
+  if (!ENABLED || profitAmount >= 0) return;
+
+  const at = now();
+  if (BAN_AFTER_LOSSES > 0) {
+    const windowStart = toMySQLDateTime(new Date(at - BAN_WINDOW));
+    const lastRelease = await db.getLastMarketRelease(market, isSimulated);
+    const since = lastRelease && lastRelease > windowStart ? lastRelease : windowStart;
+    const losses = await db.countMarketLosses(market, since, isSimulated);
+
+    if (losses >= BAN_AFTER_LOSSES) {
+      const reason = `${BAN_WINDOW / 86400000}일 내 손실 ${losses}회`;
+      await db.createMarketPolicy({ market, isSimulated, policy: MARKET_POLICY.BAN, reason, expiresAt: null });
+      log('error', `🚫 ${market} 영구 차단: ${reason} (해제: node index.js --clear-market=${market})`);
+      return;
+    }
+  }
+
+  if (COOLDOWN_TIME > 0) {
+    const expiresAt = toMySQLDateTime(new Date(at + COOLDOWN_TIME));
+    await db.createMarketPolicy({ market, isSimulated, policy: MARKET_POLICY.COOLDOWN, reason: `손실 ${Math.round(profitAmount).toLocaleString()}원`, expiresAt });
+    log('warn', `${market} 쿨다운 ${COOLDOWN_TIME / 60000}분`);
+  }
+}
+
+/**
+ * 수동 허용/차단 목록에 추가
+ * 
+ * @param {object} db - 거래 기록 저장소
+ * @param {string} market - 마켓 코드
+ * @param {string} policy - MARKET_POLICY.ALLOW 또는 MARKET_POLICY.DENY
+ */
+async function addManualPolicy(db, market, policy) {
+  await db.createMarketPolicy({ market, isSimulated: null, policy, reason: '수동', expiresAt: null });
+  log('warn', `${market} ${policy === MARKET_POLICY.ALLOW ? '허용' : '차단'} 목록에 추가`);
+}
+
+/**
+ * 마켓 정책 수동 해제 (허용/차단 목록, 쿨다운, 영구 차단 모두)
+ * 
+ * @param {object} db - 거래 기록 저장소
+ * @param {string} market - 마켓 코드
+ * @returns {Promise<number>} 해제한 정책 수
+ */
+async function clearMarketPolicies(db, market) {
+  const released = await db.releaseMarketPolicies(market, toMySQLDateTime(new Date(now())));
+  log('warn', `${market} 마켓 정책 해제: ${released}건`);
+  return released;
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  MARKET_POLICY,
+  loadMarketPolicies,
+  applyMarketPolicies,
+  isMarketAllowed,
+  recordMarketOutcome,
+  addManualPolicy,
+  clearMarketPolicies,
+};
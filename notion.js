@@ -28,6 +28,49 @@ const PARENT_PAGE_ID = config.NOTION.PARENT_PAGE_ID;
 // 주간 DB ID 캐시 (매번 API 호출 방지)
 let weeklyDbCache = {};
 
+// 주간 DB 컬럼(속성) 정의
+const WEEKLY_DB_PROPERTIES = {
+  // 코인명 (제목 컬럼 - 필수)
+  '코인명': { title: {} },
+  
+  // 주문 상태 (선택)
+  '주문상태': {
+    select: {
+      options: [
+        { name: '매수완료', color: 'blue' },
+        { name: '매도완료', color: 'green' },
+        { name: '손절', color: 'red' },
+      ],
+    },
+  },
+  
+  // 기타 속성들
+  '시스템버전': { rich_text: {} },
+  '모의거래': { checkbox: {} },
+  '매수금액': { number: { format: 'number' } },
+  '매수일시': { date: {} },
+  '매수단가': { number: { format: 'number' } },
+  '매도금액': { number: { format: 'number' } },
+  '매도일시': { date: {} },
+  '매도단가': { number: { format: 'number' } },
+  '수익률(%)': { number: { format: 'percent' } },
+  '수익금(원)': { number: { format: 'number' } },
+  
+  // 청산 사유 (exit-strategy.js)
+  '청산사유': {
+    select: {
+      options: [
+        { name: '고정', color: 'gray' },
+        { name: '트레일링', color: 'purple' },
+        { name: '본전', color: 'yellow' },
+        { name: '청산', color: 'orange' },
+        { name: '시간초과', color: 'blue' },
+        { name: '서킷브레이커', color: 'red' },
+      ],
+    },
+  },
+};
+
 /**
  * Notion API 요청 공통 함수
  * 
@@ -58,6 +101,28 @@ async function notionRequest(method, endpoint, body = null) {
   return res.json();
 }
 
+/**
+ * 기존 주간 DB에 누락된 컬럼 추가
+ * 
+ * 새 컬럼(예: 모의거래)이 추가되기 전에 만들어진 주간 DB에
+ * 해당 컬럼이 없으면 페이지 저장이 실패하므로, 없는 컬럼만 추가합니다.
+ * 
+ * @param {string} dbId - 주간 DB ID
+ */
+async function ensureWeeklyDbProperties(dbId) {
+  const database = await notionRequest('GET', `/databases/${dbId}`);
+  const existing = database.properties || {};
+  
+  const missing = Object.fromEntries(
+    Object.entries(WEEKLY_DB_PROPERTIES).filter(([name]) => !existing[name])
+  );
+  
+  if (Object.keys(missing).length > 0) {
+    log('info', `주간 DB 컬럼 추가: ${Object.keys(missing).join(', ')}`);
+    await notionRequest('PATCH', `/databases/${dbId}`, { properties: missing });
+  }
+}
+
 /**
  * 주간 DB 조회 또는 생성
  * 
@@ -85,8 +150,9 @@ async function getOrCreateWeeklyDb() {
   // 해당 주의 DB가 있는지 확인
   for (const block of children.results) {
     if (block.type === 'child_database' && block.child_database?.title === dbTitle) {
-      weeklyDbCache[week.label] = block.id;
       log('info', `기존 주간 DB 발견: ${dbTitle}`);
+      await ensureWeeklyDbProperties(block.id);
+      weeklyDbCache[week.label] = block.id;
       return block.id;
     }
   }
@@ -97,33 +163,7 @@ async function getOrCreateWeeklyDb() {
     parent: { type: 'page_id', page_id: PARENT_PAGE_ID },
     title: [{ type: 'text', text: { content: dbTitle } }],
     
-    // DB 컬럼(속성) 정의
-    properties: {
-      // 코인명 (제목 컬럼 - 필수)
-      '코인명': { title: {} },
-      
-      // 주문 상태 (선택)
-      '주문상태': {
-        select: {
-          options: [
-            { name: '매수완료', color: 'blue' },
-            { name: '매도완료', color: 'green' },
-            { name: '손절', color: 'red' },
-          ],
-        },
-      },
-      
-      // 기타 속성들
-      '시스템버전': { rich_text: {} },
-      '매수금액': { number: { format: 'number' } },
-      '매수일시': { date: {} },
-      '매수단가': { number: { format: 'number' } },
-      '매도금액': { number: { format: 'number' } },
-      '매도일시': { date: {} },
-      '매도단가': { number: { format: 'number' } },
-      '수익률(%)': { number: { format: 'percent' } },
-      '수익금(원)': { number: { format: 'number' } },
-    },
+    properties: WEEKLY_DB_PROPERTIES,
   });
   
   weeklyDbCache[week.label] = newDb.id;
@@ -139,6 +179,7 @@ async function getOrCreateWeeklyDb() {
  * @param {string} trade.coinNameKo - 한글 코인명
  * @param {string} trade.orderStatus - 주문 상태
  * @param {string} trade.systemVersion - 시스템 버전
+ * @param {boolean} trade.isSimulated - 모의거래 여부
  * @param {number} trade.buyTotalAmount - 매수 총액
  * @param {string} trade.buyDatetime - 매수 일시 (ISO 형식)
  * @param {number} trade.buyUnitPrice - 매수 단가
@@ -147,6 +188,7 @@ async function getOrCreateWeeklyDb() {
  * @param {number} trade.sellUnitPrice - 매도 단가
  * @param {number} trade.profitRate - 수익률 (%)
  * @param {number} trade.profitAmount - 수익금 (원)
+ * @param {string} trade.exitReason - 청산 사유 (고정, 트레일링, 본전, 청산, 시간초과, 서킷브레이커)
  * @returns {Promise<string>} 생성된 페이지 ID
  */
 async function saveTradeToNotion(trade) {
@@ -163,6 +205,9 @@ async function saveTradeToNotion(trade) {
     '시스템버전': {
       rich_text: [{ text: { content: trade.systemVersion } }],
     },
+    '모의거래': {
+      checkbox: trade.isSimulated === true,
+    },
     '매수금액': {
       number: trade.buyTotalAmount,
     },
@@ -187,6 +232,9 @@ async function saveTradeToNotion(trade) {
     '수익금(원)': {
       number: trade.profitAmount,
     },
+    '청산사유': {
+      select: { name: trade.exitReason },
+    },
   };
   
   // 새 페이지(레코드) 생성
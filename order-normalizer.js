@@ -0,0 +1,267 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 주문 가격/수량 정규화 모듈
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * LLM이 제시한 매수가/익절가/손절가와 계산된 수량을 업비트 주문 규칙에 맞춥니다.
+ * 
+ * 기능:
+ * - 호가 단위: 가격대별 호가 단위(tick)에 맞춰 가격 내림/올림/반올림
+ * - 수량 정밀도: 소수점 8자리까지 내림
+ * - 사전 검증: 주문 가능 정보(getOrderChance)로 최소 주문금액과 주문 가능 잔고 확인
+ * 
+ * 검증 실패는 업비트와 같은 UpbitError(under_min_total_*, insufficient_funds_*)로 던지므로
+ * 트레이딩 루프는 실제 주문 거절과 같은 방식(skip/halt)으로 처리합니다.
+ * 
+ * 참고: https://docs.upbit.com/docs/market-info-trade-price-detail
+ * ============================================================
+ */
+
+const { createUpbitError } = require('./errors');
+
+// KRW 마켓 호가 단위: [가격 하한, 호가 단위] (높은 가격대부터)
+const KRW_TICK_SIZES = [
+  [2000000, 1000],
+  [1000000, 500],
+  [500000, 100],
+  [100000, 50],
+  [10000, 10],
+  [1000, 1],
+  [100, 0.1],
+  [10, 0.01],
+  [1, 0.001],
+  [0.1, 0.0001],
+  [0.01, 0.00001],
+  [0.001, 0.000001],
+  [0.0001, 0.0000001],
+  [0, 0.00000001],
+];
+
+// 주문 수량 소수점 자리수
+const VOLUME_DECIMALS = 8;
+
+// 부동소수점 오차 허용치 (0.3 / 0.1 = 2.9999999999999996 등)
+const EPSILON = 1e-9;
+
+// ============================================================
+// 가격/수량 정규화
+// ============================================================
+
+/**
+ * 가격대별 호가 단위 조회
+ * 
+ * @param {number} price - 가격 (원)
+ * @returns {number} 호가 단위
+ * 
+ * @example
+ * getTickSize(52340);   // 10
+ * getTickSize(1523.7);  // 1
+ */
+function getTickSize(price) {
+  return KRW_TICK_SIZES.find(([min]) => price >= min)[1];
+}
+
+/**
+ * 단위 값의 소수점 자리수
+ * 
+ * @param {number} step - 단위 (예: 0.001)
+ * @returns {number} 소수점 자리수 (예: 3)
+ */
+function decimalsOf(step) {
+  return step >= 1 ? 0 : Math.round(-Math.log10(step));
+}
+
+/**
+ * 가격을 호가 단위에 맞춤
+ * 
+ * 매수가는 더 비싸게 사지 않도록 'floor', 매도가는 'ceil' 또는 'round'를 사용합니다.
+ * 
+ * @param {number} price - 가격 (원)
+ * @param {string} mode - 'floor' | 'ceil' | 'round' (기본: 'round')
+ * @returns {number} 호가 단위에 맞춘 가격
+ * 
+ * @example
+ * normalizePrice(52347, 'floor');  // 52340
+ * normalizePrice(52347, 'ceil');   // 52350
+ */
+function normalizePrice(price, mode = 'round') {
+  const tick = getTickSize(price);
+  const units = price / tick;
+  let snapped;
+  if (mode === 'floor') snapped = Math.floor(units + EPSILON);
+  else if (mode === 'ceil') snapped = Math.ceil(units - EPSILON);
+  else snapped = Math.round(units);
+
+  return Number((snapped * tick).toFixed(decimalsOf(tick)));
+}
+
+/**
+ * 가격이 호가 단위에 맞는지 확인
+ * 
+ * @param {number} price - 가격 (원)
+ * @returns {boolean} 호가 단위 일치 여부
+ */
+function isOnTick(price) {
+  const tick = getTickSize(price);
+  return Math.abs(normalizePrice(price) - price) < tick * EPSILON;
+}
+
+/**
+ * 주문 수량을 허용 자리수로 내림
+ * 
+ * @param {number} volume - 수량
+ * @returns {number} 소수점 8자리로 내림한 수량
+ */
+function normalizeVolume(volume) {
+  const scale = 10 ** VOLUME_DECIMALS;
+  return Math.floor(volume * scale + EPSILON) / scale;
+}
+
+/**
+ * 주문 요청용 가격 문자열
+ * 
+ * 작은 가격이 '1e-7'처럼 지수 표기로 바뀌지 않도록 호가 단위 자리수로 고정합니다.
+ * 
+ * @param {number} price - 가격 (원)
+ * @returns {string} 가격 문자열
+ */
+function formatPrice(price) {
+  return price.toFixed(decimalsOf(getTickSize(price)));
+}
+
+/**
+ * 주문 요청용 수량 문자열
+ * 
+ * @param {number} volume - 수량
+ * @returns {string} 수량 문자열 (끝자리 0 제거)
+ */
+function formatVolume(volume) {
+  return normalizeVolume(volume).toFixed(VOLUME_DECIMALS).replace(/\.?0+$/, '');
+}
+
+/**
+ * LLM 매매가 분석 결과를 호가 단위에 맞춤
+ * 
+ * @param {object} analysis - { buyPrice, takeProfit, stopLoss, ... }
+ * @returns {object} 가격이 정규화된 분석 결과 (나머지 필드는 그대로)
+ */
+function normalizeTradePrices(analysis) {
+  return {
+    ...analysis,
+    buyPrice: normalizePrice(analysis.buyPrice, 'floor'),
+    takeProfit: normalizePrice(analysis.takeProfit, 'round'),
+    stopLoss: normalizePrice(analysis.stopLoss, 'round'),
+  };
+}
+
+// ============================================================
+// 주문 사전 검증
+// ============================================================
+
+/**
+ * 주문 거절 에러 생성 (업비트 에러 응답과 같은 형식)
+ * 
+ * @param {string} name - 에러 이름 (예: 'under_min_total_bid')
+ * @param {string} message - 에러 메시지
+ * @returns {UpbitError}
+ */
+function rejectOrder(name, message) {
+  return createUpbitError(400, JSON.stringify({ error: { name, message } }));
+}
+
+/**
+ * 주문 가능 정보로 주문 검증
+ * 
+ * @param {object} chance - 주문 가능 정보 (getOrderChance 결과)
+ * @param {object} order - validateOrder()의 order와 동일
+ * @throws {UpbitError} 최소 주문금액 미달 또는 잔고 부족
+ */
+function checkOrder(chance, { market, side, price, volume, total }) {
+  const orderTotal = total !== undefined ? total : price * volume;
+
+  if (side === 'bid') {
+    const minTotal = parseFloat(chance.market.bid.min_total);
+    const fee = parseFloat(chance.bid_fee);
+    const available = parseFloat(chance.bid_account.balance);
+
+    if (orderTotal < minTotal) {
+      throw rejectOrder('under_min_total_bid', `최소 주문금액 미달: ${Math.floor(orderTotal)}원 < ${minTotal}원 (${market})`);
+    }
+    if (orderTotal * (1 + fee) > available) {
+      throw rejectOrder('insufficient_funds_bid', `주문가능한 금액(KRW)이 부족합니다: ${Math.floor(available)}원 (${market})`);
+    }
+  } else {
+    const minTotal = parseFloat(chance.market.ask.min_total);
+    const available = parseFloat(chance.ask_account.balance);
+
+    if (orderTotal < minTotal) {
+      throw rejectOrder('under_min_total_ask', `최소 주문금액 미달: ${Math.floor(orderTotal)}원 < ${minTotal}원 (${market})`);
+    }
+    if (volume > available + EPSILON) {
+      throw rejectOrder('insufficient_funds_ask', `주문가능한 수량이 부족합니다: ${available} (${market})`);
+    }
+  }
+}
+
+/**
+ * 주문 전 최소 주문금액/주문 가능 잔고 검증
+ * 
+ * @param {object} exchange - 거래소 모듈 (upbit-api 또는 paper-exchange)
+ * @param {object} order
+ * @param {string} order.market - 마켓 코드
+ * @param {string} order.side - 'bid' | 'ask'
+ * @param {number} order.price - 주문 가격 (시장가 매도는 현재가 추정치)
+ * @param {number} order.volume - 주문 수량 (시장가 매수는 생략)
+ * @param {number} order.total - 주문 총액 (시장가 매수, 생략 시 price * volume)
+ * @returns {Promise<object>} 주문 가능 정보 (getOrderChance 결과)
+ * @throws {UpbitError} 최소 주문금액 미달 또는 잔고 부족
+ */
+async function validateOrder(exchange, order) {
+  const chance = await exchange.getOrderChance(order.market);
+  checkOrder(chance, order);
+  return chance;
+}
+
+/**
+ * 지정가 매수 주문 준비
+ * 
+ * 매수가를 호가 단위로 내림하고, 매수 금액에서 수수료를 뺀 금액으로 수량을 계산한 뒤
+ * 최소 주문금액/잔고를 검증합니다.
+ * 
+ * @param {object} exchange - 거래소 모듈
+ * @param {string} market - 마켓 코드
+ * @param {number} price - 매수 희망가
+ * @param {number} seedMoney - 거래당 매수 금액 (원, position-sizer.js 결과)
+ * @returns {Promise<object>} { price, volume } 주문에 그대로 사용할 값
+ */
+async function prepareBuyLimit(exchange, market, price, seedMoney) {
+  const chance = await exchange.getOrderChance(market);
+  const fee = parseFloat(chance.bid_fee);
+  const orderPrice = normalizePrice(price, 'floor');
+  const volume = normalizeVolume((seedMoney * (1 - fee)) / orderPrice);
+
+  checkOrder(chance, { market, side: 'bid', price: orderPrice, volume });
+  return { price: orderPrice, volume };
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  // 정규화
+  getTickSize,
+  normalizePrice,
+  isOnTick,
+  normalizeVolume,
+  formatPrice,
+  formatVolume,
+  normalizeTradePrices,
+
+  // 사전 검증
+  rejectOrder,
+  validateOrder,
+  prepareBuyLimit,
+};
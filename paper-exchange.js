@@ -0,0 +1,559 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 모의거래소 (Paper Trading) 모듈
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 실제 자금을 사용하지 않고 전체 매매 루프를 돌려보기 위한 모의거래소입니다.
+ * upbit-api.js와 동일한 함수 구성을 제공하므로 그대로 바꿔 끼울 수 있습니다.
+ * 
+ * 동작 방식:
+ * - 시세 조회: 시세 소스(기본: 실시간 Upbit API)에 그대로 위임
+ * - 주문 체결: 호가(orderbook_units)를 따라 내려가며 체결
+ *   · 지정가 주문은 체결 가능한 호가까지만 체결되고 나머지는 대기(wait)
+ *   · 대기 주문은 getOrder 호출 시점의 호가로 다시 체결 시도
+ * - 가상 원장: KRW 및 코인 잔고/주문중 수량을 메모리에서 관리
+ * - 수수료: config.TRADE.FEE_RATE 적용
+ * 
+ * 주문/잔고 응답은 Upbit API와 같은 형태(숫자는 문자열)로 반환합니다.
+ * ============================================================
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('./config');
+const upbit = require('./upbit-api');
+const { log, now } = require('./utils');
+const { createUpbitError } = require('./errors');
+const { isOnTick } = require('./order-normalizer');
+
+const FEE_RATE = config.TRADE.FEE_RATE;
+const MIN_ORDER_TOTAL = config.TRADE.MIN_ORDER_TOTAL;
+
+// 시세 소스 (실시간 Upbit API 또는 기록된 데이터 재생기)
+let marketData = upbit;
+
+// 가상 계좌: { [currency]: { balance, locked, avgBuyPrice } }
+let accounts = {};
+
+// 주문 내역: uuid → 주문 객체
+let orders = new Map();
+
+// ============================================================
+// 내부 함수
+// ============================================================
+
+/**
+ * Upbit 형식의 API 에러 생성
+ * 
+ * 실제 API 에러와 같은 UpbitError를 사용하여
+ * 호출부의 에러 처리가 모의/실거래에서 동일하게 동작하도록 합니다.
+ * 
+ * @param {number} status - HTTP 상태 코드
+ * @param {string} name - 에러 이름 (예: 'insufficient_funds_bid')
+ * @param {string} message - 에러 메시지
+ * @returns {UpbitError}
+ */
+function apiError(status, name, message) {
+  return createUpbitError(status, JSON.stringify({ error: { name, message } }));
+}
+
+/**
+ * 주문 규칙 검사 (호가 단위, 최소 주문금액)
+ * 
+ * 실거래소와 같은 조건에서 주문을 거절하여 정규화 누락을 모의거래에서도 발견할 수 있게 합니다.
+ * 
+ * @param {string} side - 'bid' | 'ask'
+ * @param {number|null} price - 지정가 (시장가 주문은 null)
+ * @param {number} total - 주문 총액 (원)
+ */
+function checkOrderRules(side, price, total) {
+  if (price !== null && !isOnTick(price)) {
+    throw apiError(400, `invalid_price_${side}`, `주문 가격 단위를 잘못 입력하셨습니다: ${price}`);
+  }
+  if (total < MIN_ORDER_TOTAL) {
+    throw apiError(400, `under_min_total_${side}`, `최소주문금액 이상으로 주문해주세요 (${MIN_ORDER_TOTAL}원)`);
+  }
+}
+
+/**
+ * 통화별 계좌 조회 (없으면 생성)
+ * 
+ * @param {string} currency - 통화 코드 (예: 'KRW', 'BTC')
+ * @returns {object} 계좌 객체
+ */
+function getAccount(currency) {
+  if (!accounts[currency]) {
+    accounts[currency] = { balance: 0, locked: 0, avgBuyPrice: 0 };
+  }
+  return accounts[currency];
+}
+
+/**
+ * 마켓 코드에서 코인 통화 코드 추출
+ * 
+ * @param {string} market - 마켓 코드 (예: 'KRW-BTC')
+ * @returns {string} 통화 코드 (예: 'BTC')
+ */
+function coinOf(market) {
+  return market.split('-')[1];
+}
+
+/**
+ * 새 주문 객체 생성
+ */
+function createOrder(market, side, ordType, price, volume) {
+  const order = {
+    uuid: uuidv4(),
+    side,
+    ord_type: ordType,
+    price: price ?? null,
+    state: 'wait',
+    market,
+    created_at: new Date(now()).toISOString(),
+    volume: volume ?? null,
+    remaining_volume: volume ?? null,
+    reserved_fee: 0,
+    remaining_fee: 0,
+    paid_fee: 0,
+    locked: 0,
+    executed_volume: 0,
+    trades: [],
+  };
+  orders.set(order.uuid, order);
+  return order;
+}
+
+/**
+ * 체결 1건 반영 (원장 + 주문 객체)
+ * 
+ * @param {object} order - 주문 객체
+ * @param {number} price - 체결 단가
+ * @param {number} volume - 체결 수량
+ */
+function applyFill(order, price, volume) {
+  const krw = getAccount('KRW');
+  const coin = getAccount(coinOf(order.market));
+  const funds = price * volume;
+  const fee = funds * FEE_RATE;
+
+  if (order.side === 'bid') {
+    // 지정가 매수는 주문가 기준으로 잠가둔 금액 중 체결분만큼 해제
+    const release = order.ord_type === 'limit'
+      ? Math.min(order.locked, order.price * volume * (1 + FEE_RATE))
+      : funds + fee;
+    krw.locked -= release;
+    krw.balance += release - funds - fee;
+    order.locked -= release;
+
+    // 평균 매수가 갱신
+    const prevValue = coin.avgBuyPrice * (coin.balance + coin.locked);
+    coin.balance += volume;
+    coin.avgBuyPrice = (prevValue + funds) / (coin.balance + coin.locked);
+  } else {
+    coin.locked -= volume;
+    order.locked -= volume;
+    krw.balance += funds - fee;
+  }
+
+  order.executed_volume += volume;
+  if (order.remaining_volume !== null) {
+    order.remaining_volume = Math.max(0, order.remaining_volume - volume);
+  }
+  order.paid_fee += fee;
+  order.trades.push({
+    market: order.market,
+    uuid: uuidv4(),
+    price,
+    volume,
+    funds,
+    side: order.side,
+    created_at: new Date(now()).toISOString(),
+  });
+}
+
+/**
+ * 주문 종료 처리 (남은 잠금 해제)
+ * 
+ * @param {object} order - 주문 객체
+ * @param {string} state - 최종 상태 ('done' | 'cancel')
+ */
+function closeOrder(order, state) {
+  const currency = order.side === 'bid' ? 'KRW' : coinOf(order.market);
+  const account = getAccount(currency);
+  account.locked -= order.locked;
+  account.balance += order.locked;
+  order.locked = 0;
+  order.state = state;
+}
+
+/**
+ * 지정가 주문을 현재 호가에 대해 체결 시도
+ * 
+ * 주문 직후(테이커)에는 호가 단가로, 대기 중 체결(메이커)은 주문가로 체결합니다.
+ * 
+ * @param {object} order - 대기 중인 지정가 주문
+ * @param {boolean} resting - 대기 주문 재체결 여부
+ */
+async function matchLimitOrder(order, resting) {
+  const orderbook = await marketData.getOrderbook(order.market);
+  const units = orderbook?.orderbook_units || [];
+
+  for (const unit of units) {
+    if (order.remaining_volume <= 0) break;
+
+    const levelPrice = order.side === 'bid' ? unit.ask_price : unit.bid_price;
+    const levelSize = order.side === 'bid' ? unit.ask_size : unit.bid_size;
+    const crosses = order.side === 'bid' ? levelPrice <= order.price : levelPrice >= order.price;
+    if (!crosses) break;
+
+    const fillVolume = Math.min(order.remaining_volume, levelSize);
+    applyFill(order, resting ? order.price : levelPrice, fillVolume);
+  }
+
+  if (order.remaining_volume <= 0) {
+    closeOrder(order, 'done');
+  }
+}
+
+/**
+ * Upbit 응답 형식으로 변환 (숫자 → 문자열)
+ * 
+ * @param {object} order - 주문 객체
+ * @param {boolean} withTrades - 체결 내역 포함 여부 (getOrder 응답만 포함)
+ * @returns {object} Upbit 형식 주문 정보
+ */
+function toResponse(order, withTrades = false) {
+  const str = (v) => (v === null || v === undefined ? null : String(v));
+  const response = {
+    uuid: order.uuid,
+    side: order.side,
+    ord_type: order.ord_type,
+    price: str(order.price),
+    state: order.state,
+    market: order.market,
+    created_at: order.created_at,
+    volume: str(order.volume),
+    remaining_volume: str(order.remaining_volume),
+    reserved_fee: str(order.reserved_fee),
+    remaining_fee: str(order.remaining_fee),
+    paid_fee: str(order.paid_fee),
+    locked: str(order.locked),
+    executed_volume: str(order.executed_volume),
+    trades_count: order.trades.length,
+  };
+
+  if (withTrades) {
+    response.trades = order.trades.map(t => ({
+      ...t,
+      price: str(t.price),
+      volume: str(t.volume),
+      funds: str(t.funds),
+    }));
+  }
+  return response;
+}
+
+// ============================================================
+// 모의거래소 관리
+// ============================================================
+
+/**
+ * 모의 계좌 초기화
+ * 
+ * 모든 잔고와 주문 내역을 지우고 KRW 잔고만 설정합니다.
+ * 
+ * @param {number} initialKrw - 초기 KRW 잔고 (기본: config.PAPER.INITIAL_KRW)
+ */
+function resetPaperAccount(initialKrw = config.PAPER.INITIAL_KRW) {
+  accounts = {};
+  orders = new Map();
+  getAccount('KRW').balance = initialKrw;
+  log('info', `모의 계좌 초기화: ${initialKrw.toLocaleString()}원`);
+}
+
+/**
+ * 시세 소스 교체
+ * 
+ * 기본값은 실시간 Upbit API이며, 기록된 시세를 재생할 때
+ * upbit-api.js와 같은 시세 조회 함수를 가진 객체로 교체합니다.
+ * 
+ * @param {object} source - getOrderbook, getTicker 등을 제공하는 객체
+ */
+function setMarketDataSource(source) {
+  marketData = source;
+}
+
+// ============================================================
+// 시세 조회 (시세 소스에 위임)
+// ============================================================
+
+const getMarkets = (...args) => marketData.getMarkets(...args);
+const filterMarkets = (...args) => marketData.filterMarkets(...args);
+const getCandles = (...args) => marketData.getCandles(...args);
+const getCandlesMinutes = (...args) => marketData.getCandlesMinutes(...args);
+const getCandlesSeconds = (...args) => marketData.getCandlesSeconds(...args);
+const getOrderbook = (...args) => marketData.getOrderbook(...args);
+const getTicker = (...args) => marketData.getTicker(...args);
+
+// ============================================================
+// 거래 (가상 원장)
+// ============================================================
+
+/**
+ * 계좌 잔고 전체 조회
+ * 
+ * @returns {Promise<array>} 보유 자산 목록 (Upbit /accounts 형식)
+ */
+async function getBalance() {
+  return Object.entries(accounts)
+    .filter(([currency, a]) => currency === 'KRW' || a.balance + a.locked > 0)
+    .map(([currency, a]) => ({
+      currency,
+      balance: String(a.balance),
+      locked: String(a.locked),
+      avg_buy_price: String(a.avgBuyPrice),
+      avg_buy_price_modified: false,
+      unit_currency: 'KRW',
+    }));
+}
+
+/**
+ * KRW(원화) 잔고만 조회
+ * 
+ * @returns {Promise<number>} 원화 잔고 (주문 가능 금액)
+ */
+async function getKrwBalance() {
+  return getAccount('KRW').balance;
+}
+
+/**
+ * 지정가 매수 주문
+ * 
+ * 주문 금액 + 수수료를 잠근 뒤 현재 호가로 즉시 체결 가능한 만큼 체결합니다.
+ * 
+ * @param {string} market - 마켓 코드
+ * @param {number} price - 매수 희망가
+ * @param {number} volume - 매수 수량
+ * @returns {Promise<object>} 주문 결과
+ */
+async function buyLimit(market, price, volume) {
+  log('trade', `[모의] 지정가 매수 주문: ${market} @ ${price}원, 수량: ${volume}`);
+  checkOrderRules('bid', price, price * volume);
+  const krw = getAccount('KRW');
+  const reserve = price * volume * (1 + FEE_RATE);
+  if (reserve > krw.balance) {
+    throw apiError(400, 'insufficient_funds_bid', '주문가능한 금액(KRW)이 부족합니다.');
+  }
+
+  const order = createOrder(market, 'bid', 'limit', price, volume);
+  krw.balance -= reserve;
+  krw.locked += reserve;
+  order.locked = reserve;
+  order.reserved_fee = price * volume * FEE_RATE;
+
+  await matchLimitOrder(order, false);
+  return toResponse(order);
+}
+
+/**
+ * 시장가 매수 주문 (금액 기준)
+ * 
+ * 매도 호가를 따라 올라가며 지정 금액만큼 체결합니다.
+ * 호가 잔량이 부족하면 체결된 만큼만 남기고 나머지는 취소됩니다.
+ * 
+ * @param {string} market - 마켓 코드
+ * @param {number} price - 매수 금액 (원)
+ * @returns {Promise<object>} 주문 결과
+ */
+async function buyMarket(market, price) {
+  log('trade', `[모의] 시장가 매수 주문: ${market}, 금액: ${price}원`);
+  checkOrderRules('bid', null, price);
+  const krw = getAccount('KRW');
+  const reserve = price * (1 + FEE_RATE);
+  if (reserve > krw.balance) {
+    throw apiError(400, 'insufficient_funds_bid', '주문가능한 금액(KRW)이 부족합니다.');
+  }
+
+  const order = createOrder(market, 'bid', 'price', price, null);
+  krw.balance -= reserve;
+  krw.locked += reserve;
+  order.locked = reserve;
+  order.reserved_fee = price * FEE_RATE;
+
+  const orderbook = await marketData.getOrderbook(market);
+  let remainingFunds = price;
+  for (const unit of orderbook?.orderbook_units || []) {
+    if (remainingFunds <= 0) break;
+    const fillVolume = Math.min(unit.ask_size, remainingFunds / unit.ask_price);
+    applyFill(order, unit.ask_price, fillVolume);
+    remainingFunds -= unit.ask_price * fillVolume;
+  }
+
+  closeOrder(order, remainingFunds > 1e-8 ? 'cancel' : 'done');
+  return toResponse(order);
+}
+
+/**
+ * 시장가 매도 주문
+ * 
+ * 매수 호가를 따라 내려가며 지정 수량만큼 체결합니다.
+ * 예상 매도 금액(수량 × 매수 1호가)이 최소 주문금액 미만이면 실거래처럼 거절합니다.
+ * 
+ * @param {string} market - 마켓 코드
+ * @param {number} volume - 매도 수량
+ * @returns {Promise<object>} 주문 결과
+ */
+async function sellMarket(market, volume) {
+  log('trade', `[모의] 시장가 매도 주문: ${market}, 수량: ${volume}`);
+  // 최소 주문금액은 매수 1호가 기준 예상 매도 금액으로 확인
+  const orderbook = await marketData.getOrderbook(market);
+  checkOrderRules('ask', null, volume * (orderbook?.orderbook_units?.[0]?.bid_price || 0));
+  const coin = getAccount(coinOf(market));
+  if (volume > coin.balance + 1e-12) {
+    throw apiError(400, 'insufficient_funds_ask', '주문가능한 금액(코인)이 부족합니다.');
+  }
+
+  const order = createOrder(market, 'ask', 'market', null, volume);
+  coin.balance -= volume;
+  coin.locked += volume;
+  order.locked = volume;
+
+  for (const unit of orderbook?.orderbook_units || []) {
+    if (order.remaining_volume <= 0) break;
+    applyFill(order, unit.bid_price, Math.min(order.remaining_volume, unit.bid_size));
+  }
+
+  closeOrder(order, order.remaining_volume > 0 ? 'cancel' : 'done');
+  return toResponse(order);
+}
+
+/**
+ * 지정가 매도 주문
+ * 
+ * @param {string} market - 마켓 코드
+ * @param {number} price - 매도 희망가
+ * @param {number} volume - 매도 수량
+ * @returns {Promise<object>} 주문 결과
+ */
+async function sellLimit(market, price, volume) {
+  log('trade', `[모의] 지정가 매도 주문: ${market} @ ${price}원, 수량: ${volume}`);
+  checkOrderRules('ask', price, price * volume);
+  const coin = getAccount(coinOf(market));
+  if (volume > coin.balance + 1e-12) {
+    throw apiError(400, 'insufficient_funds_ask', '주문가능한 금액(코인)이 부족합니다.');
+  }
+
+  const order = createOrder(market, 'ask', 'limit', price, volume);
+  coin.balance -= volume;
+  coin.locked += volume;
+  order.locked = volume;
+
+  await matchLimitOrder(order, false);
+  return toResponse(order);
+}
+
+/**
+ * 개별 주문 조회
+ * 
+ * 대기 중인 지정가 주문은 조회 시점의 호가로 체결을 다시 시도합니다.
+ * 
+ * @param {string} uuid - 주문 UUID
+ * @returns {Promise<object>} 주문 상세 정보 (체결 내역 포함)
+ */
+async function getOrder(uuid) {
+  const order = orders.get(uuid);
+  if (!order) {
+    throw apiError(404, 'order_not_found', '주문을 찾지 못했습니다.');
+  }
+
+  if (order.state === 'wait' && order.ord_type === 'limit') {
+    await matchLimitOrder(order, true);
+  }
+  return toResponse(order, true);
+}
+
+/**
+ * 주문 취소
+ * 
+ * @param {string} uuid - 주문 UUID
+ * @returns {Promise<object>} 취소 결과
+ */
+async function cancelOrder(uuid) {
+  log('trade', `[모의] 주문 취소: ${uuid}`);
+  const order = orders.get(uuid);
+  if (!order) {
+    throw apiError(404, 'order_not_found', '주문을 찾지 못했습니다.');
+  }
+  if (order.state !== 'wait') {
+    throw apiError(400, 'order_not_found', '이미 체결되었거나 취소된 주문입니다.');
+  }
+
+  closeOrder(order, 'cancel');
+  return toResponse(order);
+}
+
+/**
+ * 주문 가능 정보 조회
+ * 
+ * @param {string} market - 마켓 코드
+ * @returns {Promise<object>} 주문 가능 정보 (Upbit /orders/chance 형식)
+ */
+async function getOrderChance(market) {
+  const toAccount = (currency) => {
+    const a = getAccount(currency);
+    return {
+      currency,
+      balance: String(a.balance),
+      locked: String(a.locked),
+      avg_buy_price: String(a.avgBuyPrice),
+      unit_currency: 'KRW',
+    };
+  };
+
+  return {
+    bid_fee: String(FEE_RATE),
+    ask_fee: String(FEE_RATE),
+    market: {
+      id: market,
+      bid: { currency: 'KRW', min_total: String(MIN_ORDER_TOTAL) },
+      ask: { currency: coinOf(market), min_total: String(MIN_ORDER_TOTAL) },
+      state: 'active',
+    },
+    bid_account: toAccount('KRW'),
+    ask_account: toAccount(coinOf(market)),
+  };
+}
+
+// 최초 로드 시 기본 잔고로 초기화
+accounts = { KRW: { balance: config.PAPER.INITIAL_KRW, locked: 0, avgBuyPrice: 0 } };
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  // 모의거래소 관리
+  resetPaperAccount,
+  setMarketDataSource,
+
+  // 시세 조회
+  getMarkets,
+  filterMarkets,
+  getCandles,
+  getCandlesMinutes,
+  getCandlesSeconds,
+  getOrderbook,
+  getTicker,
+
+  // 거래
+  getBalance,
+  getKrwBalance,
+  buyLimit,
+  buyMarket,
+  sellMarket,
+  sellLimit,
+  getOrder,
+  cancelOrder,
+  getOrderChance,
+};
@@ -0,0 +1,82 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 포트폴리오 자금 배분
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 여러 마켓을 동시에 거래할 때 포지션별 자금을 배분하고 전체 노출 한도를 지킵니다.
+ * 
+ * - 포지션 수: 최대 maxPositions개, 같은 마켓은 하나만
+ * - 포지션당 자금: totalCapital / maxPositions
+ * - 전체 노출: 배정된 자금 합계가 maxExposure를 넘지 않도록 마지막 포지션 자금을 줄임
+ * 
+ * 배정 금액은 포지션 크기(position-sizer.js)의 상한으로 쓰이며,
+ * 거래가 끝나면 release()로 반납합니다. 주문/조회는 하지 않습니다.
+ * ============================================================
+ */
+
+/**
+ * 포트폴리오 생성
+ * 
+ * @param {object} options
+ * @param {number} options.maxPositions - 최대 동시 포지션 수
+ * @param {number} options.totalCapital - 포트폴리오 전체 자금 (원)
+ * @param {number} options.maxExposure - 동시에 배정할 수 있는 최대 금액 (원)
+ * @param {number} options.minBudget - 포지션 최소 배정 금액 (원, 이보다 적게 남으면 배정 안 함)
+ * @returns {object} 포트폴리오
+ * 
+ * @example
+ * const portfolio = createPortfolio({ maxPositions: 3, totalCapital: 300000, maxExposure: 240000, minBudget: 5000 });
+ * const budgetCap = portfolio.reserve('KRW-BTC');  // 100000
+ * portfolio.release('KRW-BTC');
+ */
+function createPortfolio({ maxPositions, totalCapital, maxExposure, minBudget = 0 }) {
+  const allocations = new Map();  // 마켓 → 배정 금액 (원)
+
+  const exposure = () => [...allocations.values()].reduce((sum, budget) => sum + budget, 0);
+
+  return {
+    /** 보유(배정) 중인 마켓 목록 */
+    markets: () => [...allocations.keys()],
+
+    /** 배정된 금액 합계 (원) */
+    exposure,
+
+    /** 새 포지션을 열 수 없는 상태인지 (포지션 수 또는 노출 한도) */
+    isFull: () => allocations.size >= maxPositions || maxExposure - exposure() < minBudget,
+
+    /**
+     * 마켓에 자금 배정
+     * 
+     * @param {string} market - 마켓 코드
+     * @returns {number|null} 배정 금액 (원, 배정할 수 없으면 null)
+     */
+    reserve(market) {
+      if (allocations.has(market) || allocations.size >= maxPositions) return null;
+
+      const budget = Math.floor(Math.min(totalCapital / maxPositions, maxExposure - exposure()));
+      if (budget < minBudget) return null;
+
+      allocations.set(market, budget);
+      return budget;
+    },
+
+    /**
+     * 마켓 배정 해제
+     * 
+     * @param {string} market - 마켓 코드
+     */
+    release(market) {
+      allocations.delete(market);
+    },
+  };
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  createPortfolio,
+};
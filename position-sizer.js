@@ -0,0 +1,125 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 포지션 크기 계산 모듈
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 거래 1회에 사용할 매수 금액(원, 수수료 포함)을 정합니다.
+ * 
+ * 정책 (config.SIZING.POLICY):
+ * - fixed:      고정 금액 (시드머니)
+ * - fraction:   현재 KRW 잔고의 일정 비율 (수익/손실이 다음 거래 크기에 반영되는 복리 방식)
+ * - risk:       손절 시 손실이 KRW 잔고의 일정 비율이 되도록 손절 폭에 맞춰 계산
+ * - confidence: 시드머니 × LLM 페어 선정 신뢰도 (selectBestPair의 confidence)
+ * 
+ * 계산 결과는 주문 가능 잔고 이하로 맞추고, 최소 주문금액에 못 미치면 거래를 건너뜁니다.
+ * ============================================================
+ */
+
+const config = require('./config');
+const { log } = require('./utils');
+
+// 포지션 크기 정책
+const SIZING_POLICY = {
+  FIXED: 'fixed',
+  FRACTION: 'fraction',
+  RISK: 'risk',
+  CONFIDENCE: 'confidence',
+};
+
+/**
+ * 정책별 매수 금액 계산 (최소/최대 조정 전)
+ * 
+ * @param {string} policy - SIZING_POLICY 값
+ * @param {object} input - calculateOrderBudget()의 input + { krwBalance, fee }
+ * @returns {number} 매수 금액 (원)
+ */
+function budgetByPolicy(policy, { seedMoney, buyPrice, stopLoss, confidence, krwBalance, fee }) {
+  switch (policy) {
+    case SIZING_POLICY.FIXED:
+      return seedMoney;
+
+    case SIZING_POLICY.FRACTION:
+      return krwBalance * config.SIZING.BALANCE_FRACTION;
+
+    case SIZING_POLICY.RISK: {
+      if (!(stopLoss > 0) || stopLoss >= buyPrice) {
+        throw new Error(`손절가(${stopLoss})가 매수가(${buyPrice}) 이상 - 리스크 기반 크기 계산 불가`);
+      }
+      // 손절 시 손실률 = 가격 하락률 + 매수/매도 수수료
+      const lossRate = (buyPrice - stopLoss) / buyPrice + fee * 2;
+      return krwBalance * config.SIZING.RISK_PER_TRADE / 100 / lossRate;
+    }
+
+    case SIZING_POLICY.CONFIDENCE:
+      if (!(confidence >= config.SIZING.MIN_CONFIDENCE)) {
+        throw new Error(`신뢰도 ${confidence} < ${config.SIZING.MIN_CONFIDENCE} - 진입 안 함`);
+      }
+      return seedMoney * Math.min(confidence, 1);
+
+    default:
+      throw new Error(`알 수 없는 포지션 크기 정책: ${policy}`);
+  }
+}
+
+/**
+ * 거래 1회 매수 금액 계산
+ * 
+ * 결과는 다음 범위로 조정됩니다.
+ * - 상한: config.SIZING.MAX_ORDER_KRW, input.maxBudget (포트폴리오 배정 금액), 주문 가능 KRW 잔고
+ * - 하한: 최소 주문금액 (수수료를 빼고 수량을 내림해도 최소 주문금액 이상이 되도록)
+ * 상한을 적용한 금액이 하한보다 작으면 (잔고, 리스크 예산, 배정 금액 부족) budget 0과 사유를 돌려주고,
+ * 호출한 쪽은 주문 없이 이번 거래를 건너뜁니다 (잔고 부족 에러로 봇이 중지되지 않도록).
+ * 
+ * @param {object} exchange - 거래소 모듈 (upbit-api 또는 paper-exchange)
+ * @param {object} input
+ * @param {string} input.market - 마켓 코드
+ * @param {number} input.seedMoney - 시드머니 (원)
+ * @param {number} input.buyPrice - 매수가
+ * @param {number} input.stopLoss - 손절가
+ * @param {number} input.confidence - LLM 페어 선정 신뢰도 (0~1)
+ * @param {number} input.maxBudget - 매수 금액 상한 (원, 선택 - 포트폴리오 배정 금액)
+ * @param {string} policy - 정책 (기본 config.SIZING.POLICY)
+ * @returns {Promise<object>} { budget, policy, raw, reason } (budget: 수수료 포함 매수 금액 - 0이면 거래 건너뜀, raw: 조정 전 금액, reason: 건너뛴 사유)
+ * 
+ * @example
+ * const { budget, reason } = await calculateOrderBudget(upbit, { market, seedMoney, buyPrice, stopLoss, confidence });
+ * if (budget === 0) return log('warn', reason);
+ * await prepareBuyLimit(upbit, market, buyPrice, budget);
+ */
+async function calculateOrderBudget(exchange, input, policy = config.SIZING.POLICY) {
+  const chance = await exchange.getOrderChance(input.market);
+  const fee = parseFloat(chance.bid_fee);
+  const minTotal = parseFloat(chance.market.bid.min_total);
+  const available = parseFloat(chance.bid_account.balance);
+  const krwBalance = policy === SIZING_POLICY.FRACTION || policy === SIZING_POLICY.RISK
+    ? await exchange.getKrwBalance()
+    : available;
+
+  const raw = budgetByPolicy(policy, { ...input, krwBalance, fee });
+
+  // 수수료를 빼고 수량을 내림해도 최소 주문금액 이상이 되도록 1원 여유
+  const minBudget = Math.ceil(minTotal / (1 - fee)) + 1;
+  const maxBudget = Math.min(config.SIZING.MAX_ORDER_KRW || Infinity, input.maxBudget || Infinity, available);
+  const capped = Math.min(raw, maxBudget);
+  if (capped < minBudget) {
+    const limit = raw <= maxBudget ? `계산값 ${Math.floor(raw).toLocaleString()}원` : `주문 가능 금액 ${Math.floor(maxBudget).toLocaleString()}원`;
+    const reason = `${limit}이 최소 주문금액(${minBudget.toLocaleString()}원) 미만 - 거래 건너뜀 (${input.market})`;
+    log('warn', `포지션 크기 (${policy}): ${reason}`);
+    return { budget: 0, policy, raw, reason };
+  }
+  const budget = Math.floor(capped);
+
+  log('info', `포지션 크기 (${policy}): ${budget.toLocaleString()}원${Math.floor(raw) !== budget ? ` (계산값 ${Math.floor(raw).toLocaleString()}원에서 조정)` : ''}`);
+  return { budget, policy, raw };
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  SIZING_POLICY,
+  calculateOrderBudget,
+};
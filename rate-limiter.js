@@ -0,0 +1,219 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - Upbit 요청 스케줄러 (Rate Limit)
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 모든 Upbit REST 호출을 그룹별 대기열로 모아 호출 속도를 조절합니다.
+ * 
+ * 업비트는 API를 그룹(market, candles, orderbook, ticker, order, default 등)으로 나누어
+ * 그룹별 초당 호출 수를 제한하고, 응답 헤더로 남은 호출 수를 알려줍니다.
+ *   Remaining-Req: group=default; min=1800; sec=29
+ * 
+ * 동작 방식:
+ * - 그룹별 1초 구간 호출 수가 config.RATE_LIMIT.GROUP_LIMITS를 넘지 않도록 대기
+ * - Remaining-Req의 sec가 0이면 해당 그룹을 1초간 멈춤
+ * - 429(Too Many Requests) 응답 시 지수 백오프 후 같은 요청을 재전송
+ *   (429는 요청이 처리되지 않은 것이므로 주문도 안전하게 재전송 가능)
+ * - 대기열은 그룹별 FIFO라 여러 루프(스캐너, 모니터링)가 동시에 호출해도 순서가 지켜짐
+ * ============================================================
+ */
+
+const config = require('./config');
+const { log } = require('./utils');
+
+// 그룹별 상태: { sentAt: [], blockedUntil, backoffCount, tail }
+const groups = {};
+
+/**
+ * 실제 시간 대기
+ * 
+ * 호출 한도는 실제 시간 기준이므로 utils.sleep(가상 시계 대응) 대신 사용합니다.
+ * 
+ * @param {number} ms - 대기 시간 (밀리초)
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 그룹 상태 조회 (없으면 생성)
+ * 
+ * @param {string} group - 그룹명
+ * @returns {object} 그룹 상태
+ */
+function getGroup(group) {
+  if (!groups[group]) {
+    groups[group] = {
+      sentAt: [],           // 최근 1초간 요청 시각
+      blockedUntil: 0,      // 이 시각까지 요청 금지
+      backoffCount: 0,      // 연속 429 횟수
+      remaining: null,      // 마지막으로 보고된 남은 초당 호출 수
+      tail: Promise.resolve(),  // FIFO 대기열 꼬리
+    };
+  }
+  return groups[group];
+}
+
+/**
+ * 엔드포인트로 요청 그룹 추정
+ * 
+ * 실제 그룹은 응답의 Remaining-Req 헤더로 확인하지만,
+ * 요청 전에 어느 대기열에 넣을지 정하기 위해 사용합니다.
+ * 
+ * @param {string} method - HTTP 메서드
+ * @param {string} endpoint - API 엔드포인트 (예: '/candles/seconds')
+ * @returns {string} 그룹명
+ */
+function groupOf(method, endpoint) {
+  if (endpoint.startsWith('/market/')) return 'market';
+  if (endpoint.startsWith('/candles/')) return 'candles';
+  if (endpoint.startsWith('/orderbook')) return 'orderbook';
+  if (endpoint.startsWith('/ticker')) return 'ticker';
+  if (endpoint.startsWith('/trades')) return 'trades';
+  if (method !== 'GET' && endpoint.startsWith('/order')) return 'order';
+  return 'default';
+}
+
+/**
+ * Remaining-Req 헤더 파싱
+ * 
+ * @param {string} header - 헤더 값 (예: 'group=default; min=1800; sec=29')
+ * @returns {object|null} { group, min, sec }
+ */
+function parseRemainingReq(header) {
+  if (!header) return null;
+  const fields = Object.fromEntries(
+    header.split(';').map(part => part.trim().split('=')).filter(kv => kv.length === 2)
+  );
+  if (!fields.group) return null;
+  return {
+    group: fields.group,
+    min: fields.min !== undefined ? parseInt(fields.min) : null,
+    sec: fields.sec !== undefined ? parseInt(fields.sec) : null,
+  };
+}
+
+/**
+ * 호출 가능 시점까지 대기 후 슬롯 확보
+ * 
+ * @param {string} group - 그룹명
+ * @param {object} state - 그룹 상태
+ */
+async function waitForSlot(group, state) {
+  const limit = config.RATE_LIMIT.GROUP_LIMITS[group] || config.RATE_LIMIT.GROUP_LIMITS.default;
+
+  while (true) {
+    const current = Date.now();
+    state.sentAt = state.sentAt.filter(t => current - t < 1000);
+
+    if (current < state.blockedUntil) {
+      await wait(state.blockedUntil - current);
+    } else if (state.sentAt.length >= limit) {
+      await wait(state.sentAt[0] + 1000 - current);
+    } else {
+      state.sentAt.push(current);
+      return;
+    }
+  }
+}
+
+/**
+ * 응답 헤더로 그룹 상태 갱신
+ * 
+ * @param {string} group - 요청 시 추정한 그룹
+ * @param {Response} res - fetch 응답
+ */
+function updateFromResponse(group, res) {
+  const remaining = parseRemainingReq(res.headers.get('Remaining-Req'));
+  if (!remaining) return;
+
+  // 추정 그룹과 실제 그룹이 다르면 실제 그룹 기준으로 기록
+  const state = getGroup(remaining.group);
+  state.remaining = remaining.sec;
+  if (remaining.sec !== null && remaining.sec <= 0) {
+    state.blockedUntil = Math.max(state.blockedUntil, Date.now() + 1000);
+  }
+  if (remaining.group !== group) {
+    getGroup(group).remaining = remaining.sec;
+  }
+}
+
+/**
+ * 속도 제한을 적용한 fetch
+ * 
+ * 그룹 대기열 순서대로 호출하고, 429 응답은 백오프 후 재전송합니다.
+ * 재시도 횟수를 넘긴 429 또는 그 외 응답은 본문을 읽지 않은 채 그대로 반환합니다.
+ * 
+ * @param {string} group - 요청 그룹 (groupOf()로 추정)
+ * @param {string} url - 요청 URL
+ * @param {object} options - fetch 옵션 (요청마다 새로 만들어야 하는 값은 함수로 전달)
+ * @returns {Promise<Response>} fetch 응답
+ * 
+ * @example
+ * const res = await rateLimitedFetch('candles', url);
+ * const res = await rateLimitedFetch('order', url, () => ({ method: 'POST', headers: { ... } }));
+ */
+async function rateLimitedFetch(group, url, options = {}) {
+  const state = getGroup(group);
+
+  for (let attempt = 0; ; attempt++) {
+    // FIFO 대기열에 들어가 차례가 오면 슬롯 확보
+    const turn = state.tail.then(() => waitForSlot(group, state));
+    state.tail = turn.catch(() => {});
+    await turn;
+
+    // JWT nonce 등 매 요청마다 새로 만들어야 하는 옵션 지원
+    const res = await fetch(url, typeof options === 'function' ? options() : options);
+    updateFromResponse(group, res);
+
+    if (res.status !== 429) {
+      state.backoffCount = 0;
+      return res;
+    }
+
+    // 429: 그룹 전체를 멈추고 지수 백오프
+    state.backoffCount++;
+    const delay = Math.min(
+      config.RATE_LIMIT.BACKOFF_BASE * 2 ** (state.backoffCount - 1),
+      config.RATE_LIMIT.BACKOFF_MAX
+    );
+    state.blockedUntil = Math.max(state.blockedUntil, Date.now() + delay);
+
+    // 마지막 429는 호출자가 본문으로 RATE_LIMIT 에러를 만들 수 있도록 본문을 읽지 않고 반환
+    if (attempt >= config.RATE_LIMIT.MAX_RETRIES) {
+      log('error', `[${group}] 429 재시도 한도 초과`);
+      return res;
+    }
+    await res.body?.cancel();
+    log('warn', `[${group}] 요청 한도 초과(429) - ${delay}ms 후 재시도 (${attempt + 1}/${config.RATE_LIMIT.MAX_RETRIES})`);
+  }
+}
+
+/**
+ * 그룹별 현재 상태 (모니터링/디버깅용)
+ * 
+ * @returns {object} { [group]: { sentLastSecond, remaining, blockedFor } }
+ */
+function getStatus() {
+  const current = Date.now();
+  return Object.fromEntries(
+    Object.entries(groups).map(([group, state]) => [group, {
+      sentLastSecond: state.sentAt.filter(t => current - t < 1000).length,
+      remaining: state.remaining,
+      blockedFor: Math.max(0, state.blockedUntil - current),
+    }])
+  );
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  groupOf,
+  parseRemainingReq,
+  rateLimitedFetch,
+  getStatus,
+};
@@ -0,0 +1,164 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 계좌 리스크 한도 (킬 스위치)
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * trades 테이블의 실현 손익으로 계좌 단위 리스크 한도를 계산하고,
+ * 한도에 걸리면 신규 진입을 멈춥니다.
+ * 
+ * 한도:
+ * - daily_loss:   KST 하루 실현 손실 (기준 자산 대비 %) → 다음 날 자정(KST)에 자동 해제
+ * - daily_trades: KST 하루 거래(매수) 횟수 → 다음 날 자정(KST)에 자동 해제
+ * - drawdown:     최고 자산 대비 낙폭 (%) → 수동 해제 (node index.js --reset-risk)
+ * 
+ * 중지 상태는 risk_halts 테이블에 저장하므로 재시작해도 풀리지 않습니다.
+ * 보유 중인 포지션은 그대로 익절/손절까지 관리합니다.
+ * ============================================================
+ */
+
+const config = require('./config');
+const { log, now, getKstDayRange, toMySQLDateTime } = require('./utils');
+
+// 한도 종류 (risk_halts.limit_type)
+const RISK_LIMIT = {
+  DAILY_LOSS: 'daily_loss',
+  DAILY_TRADES: 'daily_trades',
+  DRAWDOWN: 'drawdown',
+};
+
+/**
+ * 리스크 지표 계산
+ * 
+ * 하루 손실/거래 횟수와 낙폭은 마지막 수동 해제 이후의 거래만으로 계산합니다.
+ * (해제 후 곧바로 같은 한도로 다시 멈추지 않도록)
+ * 
+ * @param {object} db - 거래 기록 저장소 (db.js 또는 백테스트 메모리 DB)
+ * @param {object} options
+ * @param {boolean} options.isSimulated - 모의거래 여부
+ * @param {number} options.baseEquity - 기준 자산 (원)
+ * @returns {Promise<object>} { day, dayEnd, dailyProfit, dailyTrades, equity, peakEquity, drawdownRate }
+ */
+async function getRiskStats(db, { isSimulated, baseEquity }) {
+  const day = getKstDayRange(now());
+  const lastReset = await db.getLastRiskReset(isSimulated);  // 'YYYY-MM-DD HH:MM:SS' 또는 null
+  const dayStart = toMySQLDateTime(new Date(day.start));
+  const dailySince = lastReset && lastReset > dayStart ? lastReset : dayStart;
+
+  const dailyProfits = await db.getRealizedProfits(dailySince, isSimulated);
+  const dailyTrades = await db.countTradesSince(dailySince, isSimulated);
+
+  // 기준 자산에서 시작해 매도 순서대로 손익을 누적한 최고 자산 대비 낙폭
+  let equity = baseEquity;
+  let peakEquity = baseEquity;
+  for (const profit of await db.getRealizedProfits(lastReset, isSimulated)) {
+    equity += profit;
+    peakEquity = Math.max(peakEquity, equity);
+  }
+
+  return {
+    day: day.label,
+    dayEnd: day.end,
+    dailyProfit: dailyProfits.reduce((sum, p) => sum + p, 0),
+    dailyTrades,
+    equity,
+    peakEquity,
+    drawdownRate: peakEquity > 0 ? (peakEquity - equity) / peakEquity * 100 : 0,
+  };
+}
+
+/**
+ * 한도 초과 여부 판단
+ * 
+ * @param {object} stats - getRiskStats() 결과
+ * @param {number} baseEquity - 기준 자산 (원)
+ * @returns {object|null} { limitType, reason, resumeAt } (한도 이내면 null)
+ */
+function findBreach(stats, baseEquity) {
+  const { MAX_DAILY_LOSS_RATE, MAX_DAILY_TRADES, MAX_DRAWDOWN_RATE } = config.RISK;
+  const dailyLossRate = -stats.dailyProfit / baseEquity * 100;
+
+  if (MAX_DRAWDOWN_RATE > 0 && stats.drawdownRate >= MAX_DRAWDOWN_RATE) {
+    return {
+      limitType: RISK_LIMIT.DRAWDOWN,
+      reason: `최고 자산 대비 낙폭 ${stats.drawdownRate.toFixed(2)}% ≥ ${MAX_DRAWDOWN_RATE}% (${Math.round(stats.peakEquity).toLocaleString()}원 → ${Math.round(stats.equity).toLocaleString()}원)`,
+      resumeAt: null,
+    };
+  }
+  if (MAX_DAILY_LOSS_RATE > 0 && dailyLossRate >= MAX_DAILY_LOSS_RATE) {
+    return {
+      limitType: RISK_LIMIT.DAILY_LOSS,
+      reason: `${stats.day} 실현 손실 ${Math.round(-stats.dailyProfit).toLocaleString()}원 (${dailyLossRate.toFixed(2)}%) ≥ ${MAX_DAILY_LOSS_RATE}%`,
+      resumeAt: stats.dayEnd,
+    };
+  }
+  if (MAX_DAILY_TRADES > 0 && stats.dailyTrades >= MAX_DAILY_TRADES) {
+    return {
+      limitType: RISK_LIMIT.DAILY_TRADES,
+      reason: `${stats.day} 거래 ${stats.dailyTrades}회 ≥ ${MAX_DAILY_TRADES}회`,
+      resumeAt: stats.dayEnd,
+    };
+  }
+  return null;
+}
+
+/**
+ * 신규 진입 전 리스크 한도 확인
+ * 
+ * 저장된 중지 상태가 있으면 그대로 반환하고,
+ * 없으면 지표를 계산해 한도를 넘었을 때 중지 상태를 새로 저장합니다.
+ * 
+ * @param {object} db - 거래 기록 저장소
+ * @param {object} options
+ * @param {boolean} options.isSimulated - 모의거래 여부
+ * @param {number} options.baseEquity - 기준 자산 (원)
+ * @returns {Promise<object|null>} 중지 상태 { limitType, reason, resumeAt } (진입 가능하면 null, resumeAt은 epoch 밀리초 또는 null)
+ */
+async function checkRiskLimits(db, { isSimulated, baseEquity }) {
+  const active = await db.getActiveRiskHalt(toMySQLDateTime(new Date(now())), isSimulated);
+  if (active) {
+    // DB에는 UTC 'YYYY-MM-DD HH:MM:SS'로 저장되어 있음 (toMySQLDateTime)
+    const resumeAt = active.resume_at ? Date.parse(`${active.resume_at.replace(' ', 'T')}Z`) : null;
+    return { limitType: active.limit_type, reason: active.reason, resumeAt };
+  }
+
+  const breach = findBreach(await getRiskStats(db, { isSimulated, baseEquity }), baseEquity);
+  if (!breach) return null;
+
+  await db.createRiskHalt({
+    isSimulated,
+    limitType: breach.limitType,
+    reason: breach.reason,
+    haltedAt: toMySQLDateTime(new Date(now())),
+    resumeAt: breach.resumeAt ? toMySQLDateTime(new Date(breach.resumeAt)) : null,
+  });
+  log('error', `🛑 리스크 한도 도달 (${breach.limitType}): ${breach.reason}`);
+  return breach;
+}
+
+/**
+ * 중지 상태 수동 해제
+ * 
+ * 해제 시각 이후부터 낙폭을 다시 계산합니다.
+ * 
+ * @param {object} db - 거래 기록 저장소
+ * @param {boolean} isSimulated - 모의거래 여부
+ * @returns {Promise<number>} 해제한 중지 상태 수
+ */
+async function resetRiskHalt(db, isSimulated) {
+  const released = await db.releaseRiskHalts(toMySQLDateTime(new Date(now())), isSimulated);
+  log('warn', `리스크 중지 상태 수동 해제: ${released}건`);
+  return released;
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  RISK_LIMIT,
+  getRiskStats,
+  checkRiskLimits,
+  resetRiskHalt,
+};
@@ -0,0 +1,173 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 규칙 기반 매매 전략 (LLM 대체)
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * LLM 없이 지표와 호가만으로 페어를 고르고 매수가/익절가/손절가를 정합니다.
+ * 같은 데이터면 항상 같은 결과를 내므로 LLM 장애나 예산 초과 시 대체 전략으로 쓰고,
+ * config.STRATEGY.PRIMARY = 'rule'이면 기본 전략으로 씁니다 (전환은 trader.js).
+ * 
+ * 페어 선정 (llm-analyzer.js의 enrichPairsData 지표 사용):
+ * - 제외: 하락 추세(변동률 음수 또는 MACD 음수), RSI가 RSI_MIN~RSI_MAX 밖, 볼린저 위치가 MAX_BB_POSITION 초과
+ * - 점수: RSI가 범위 가운데에 가까울수록 + 볼린저 밴드 아래쪽일수록(상단까지 여유) + 호가 매수 잔량 비율이 클수록
+ * - 최고 점수가 MIN_SCORE 미만이면 진입하지 않음 (점수를 신뢰도로 사용)
+ * 
+ * 매매가: 매도 1호가에 매수, 손절 폭 = max(ATR × STOP_ATR_MULTIPLE, 매수가 × MIN_STOP_RATE),
+ * 익절 폭 = 손절 폭 × REWARD_RISK (호가 단위 보정과 검증은 trade-guard.js)
+ * ============================================================
+ */
+
+const config = require('./config');
+const { log } = require('./utils');
+const { enrichPairsData } = require('./llm-analyzer');
+const { calculateAtr } = require('./exit-strategy');
+
+// 매매 판단 전략 (trades.strategy)
+const STRATEGY = {
+  LLM: 'llm',
+  RULE: 'rule',
+};
+
+// 전략 이름 (로그용)
+const STRATEGY_LABELS = {
+  [STRATEGY.LLM]: 'LLM',
+  [STRATEGY.RULE]: '규칙',
+};
+
+// 점수 가중치 (합계 1)
+const SCORE_WEIGHTS = {
+  rsi: 0.3,
+  bollinger: 0.3,
+  orderbook: 0.4,
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * 호가 매수 잔량 비율 (매수 잔량 금액 / 양쪽 잔량 금액)
+ * 
+ * @param {object} orderbook - 업비트 호가 데이터
+ * @returns {number|null} 0~1 (호가가 없으면 null)
+ */
+function bidRatio(orderbook) {
+  const units = orderbook?.orderbook_units || [];
+  const askDepth = units.reduce((sum, u) => sum + u.ask_price * u.ask_size, 0);
+  const bidDepth = units.reduce((sum, u) => sum + u.bid_price * u.bid_size, 0);
+  return askDepth + bidDepth > 0 ? bidDepth / (askDepth + bidDepth) : null;
+}
+
+/**
+ * 페어 점수 계산
+ * 
+ * @param {object} pair - enrichPairsData() 결과 (rsi, macd, bollinger, orderbook 포함)
+ * @returns {object} { eligible, score, rsi, macd, bbPosition, bidRatio, reason }
+ */
+function scorePair(pair) {
+  const { RSI_MIN, RSI_MAX, MAX_BB_POSITION } = config.STRATEGY.RULE;
+  const { rsi, macd, bollinger } = pair;
+  const bbWidth = bollinger ? bollinger.upper - bollinger.lower : 0;
+  const bbPosition = bbWidth > 0 ? (pair.currentPrice - bollinger.lower) / bbWidth * 100 : null;
+  const ratio = bidRatio(pair.orderbook);
+  const details = { eligible: false, score: 0, rsi, macd: macd?.macdLine ?? null, bbPosition, bidRatio: ratio };
+
+  if (rsi == null || details.macd === null || bbPosition === null || ratio === null) return { ...details, reason: '지표 부족' };
+  if (!(pair.changeRate > 0) || details.macd <= 0) return { ...details, reason: '하락 추세' };
+  if (rsi < RSI_MIN || rsi > RSI_MAX) return { ...details, reason: `RSI ${rsi.toFixed(1)} 범위 밖` };
+  if (bbPosition > MAX_BB_POSITION) return { ...details, reason: `볼린저 위치 ${bbPosition.toFixed(0)}% 과열` };
+
+  const rsiMiddle = (RSI_MIN + RSI_MAX) / 2;
+  const rsiScore = RSI_MAX > RSI_MIN ? 1 - Math.abs(rsi - rsiMiddle) / ((RSI_MAX - RSI_MIN) / 2) : 1;
+  const bbScore = 1 - clamp(bbPosition, 0, 100) / 100;
+  const score = SCORE_WEIGHTS.rsi * rsiScore + SCORE_WEIGHTS.bollinger * bbScore + SCORE_WEIGHTS.orderbook * ratio;
+
+  return {
+    ...details,
+    eligible: true,
+    score,
+    reason: `규칙: RSI ${rsi.toFixed(1)}, MACD ${details.macd.toFixed(2)}, 볼린저 ${bbPosition.toFixed(0)}%, 매수 잔량 ${(ratio * 100).toFixed(0)}% (점수 ${score.toFixed(2)})`,
+  };
+}
+
+/**
+ * 페어 순위 (점수 높은 순, 제외된 페어는 뒤에 사유와 함께)
+ * 
+ * @param {array} pairsData - 페어별 시세 데이터 (trader.js getPairDetails() 결과)
+ * @returns {array} [{ market, koreanName, ...scorePair() 결과 }]
+ */
+function rankPairs(pairsData) {
+  return enrichPairsData(pairsData, ['rsi', 'macd', 'bollinger'])
+    .map(pair => ({ market: pair.market, koreanName: pair.koreanName, ...scorePair(pair) }))
+    .sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score));
+}
+
+/**
+ * [스캔-4] 규칙으로 최적 페어 선정
+ * 
+ * llm-analyzer.js selectBestPair()와 같은 형태로 반환합니다.
+ * 
+ * @param {array} pairsData - 페어별 시세 데이터
+ * @returns {object|null} { noEntry, selectedPair, koreanName, confidence, reason } (진입할 페어가 없으면 null)
+ */
+function selectBestPair(pairsData) {
+  const ranked = rankPairs(pairsData);
+  const best = ranked[0];
+
+  if (!best || !best.eligible) {
+    log('warn', `규칙 판단: 진입 조건을 만족하는 페어 없음 (${ranked.map(p => `${p.market} ${p.reason}`).join(', ') || '후보 없음'})`);
+    return null;
+  }
+  if (best.score < config.STRATEGY.RULE.MIN_SCORE) {
+    log('warn', `규칙 판단: 점수 부족 (${best.market} ${best.score.toFixed(2)} < ${config.STRATEGY.RULE.MIN_SCORE})`);
+    return null;
+  }
+
+  return {
+    noEntry: false,
+    selectedPair: best.market,
+    koreanName: best.koreanName,
+    confidence: best.score,
+    reason: best.reason,
+  };
+}
+
+/**
+ * [스캔-5] 규칙으로 매수가, 익절가, 손절가 산출
+ * 
+ * llm-analyzer.js analyzeTradePrices()와 같은 형태로 반환합니다.
+ * 
+ * @param {string} market - 마켓 코드
+ * @param {string} koreanName - 한글 코인명
+ * @param {array} candles - 캔들 데이터 (최신 캔들이 앞)
+ * @param {object} orderbook - 호가 데이터
+ * @param {number} currentPrice - 현재가
+ * @returns {object} { buyPrice, takeProfit, stopLoss, analysis }
+ */
+function analyzeTradePrices(market, koreanName, candles, orderbook, currentPrice) {
+  const { STOP_ATR_MULTIPLE, MIN_STOP_RATE, REWARD_RISK } = config.STRATEGY.RULE;
+  const buyPrice = orderbook?.orderbook_units?.[0]?.ask_price || currentPrice;
+  const atr = calculateAtr(candles);
+  const stopDistance = Math.max((atr || 0) * STOP_ATR_MULTIPLE, buyPrice * MIN_STOP_RATE / 100);
+
+  const result = {
+    buyPrice,
+    takeProfit: buyPrice + stopDistance * REWARD_RISK,
+    stopLoss: buyPrice - stopDistance,
+    analysis: `규칙: 매도 1호가 매수, 손절 폭 ${(stopDistance / buyPrice * 100).toFixed(2)}% (ATR ${atr === null ? '없음' : atr.toFixed(4)}), 손익비 ${REWARD_RISK}`,
+  };
+  log('info', `규칙 매매가: 매수 ${result.buyPrice}, 익절 ${result.takeProfit}, 손절 ${result.stopLoss}`);
+  return result;
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  STRATEGY,
+  STRATEGY_LABELS,
+  rankPairs,
+  selectBestPair,
+  analyzeTradePrices,
+};
@@ -0,0 +1,120 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 주문 정산 모듈
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 주문의 실제 체결 결과(수량, 평균 단가, 체결 금액, 수수료)를 계산합니다.
+ * 
+ * 주문 응답의 price는 주문 종류마다 의미가 다릅니다.
+ * - limit: 주문 단가
+ * - price(시장가 매수): 주문 총액 (KRW)
+ * - market(시장가 매도): null
+ * 그래서 단가는 price가 아니라 체결 내역(trades) 전체의 거래량 가중 평균(VWAP)으로 계산합니다.
+ * ============================================================
+ */
+
+const config = require('./config');
+const { log, sleep, now } = require('./utils');
+
+// 더 이상 체결이 일어나지 않는 주문 상태
+const FINAL_STATES = ['done', 'cancel'];
+
+/**
+ * 주문 정보로 체결 결과 계산
+ * 
+ * @param {object} orderInfo - getOrder() 결과 (trades 포함)
+ * @returns {object} { uuid, state, volume, funds, avgPrice, paidFee, order }
+ * 
+ * @example
+ * const s = summarizeOrder(await upbit.getOrder(uuid));
+ * // { volume: 0.5, funds: 50010, avgPrice: 100020, paidFee: 25.005, ... }
+ */
+function summarizeOrder(orderInfo) {
+  const trades = orderInfo.trades || [];
+  let volume = 0;
+  let funds = 0;
+
+  if (trades.length > 0) {
+    for (const t of trades) {
+      const tradeVolume = parseFloat(t.volume);
+      volume += tradeVolume;
+      funds += t.funds !== undefined && t.funds !== null
+        ? parseFloat(t.funds)
+        : parseFloat(t.price) * tradeVolume;
+    }
+  } else {
+    // 체결 내역이 없으면 지정가 주문의 단가로 추정
+    volume = parseFloat(orderInfo.executed_volume || 0);
+    funds = orderInfo.ord_type === 'limit' ? parseFloat(orderInfo.price) * volume : 0;
+  }
+
+  return {
+    uuid: orderInfo.uuid,
+    state: orderInfo.state,
+    volume,
+    funds,
+    avgPrice: volume > 0 ? funds / volume : 0,
+    paidFee: parseFloat(orderInfo.paid_fee || 0),
+    order: orderInfo,
+  };
+}
+
+/**
+ * 여러 주문의 체결 결과 합산
+ * 
+ * 지정가 부분 체결 + 시장가 추가 매수처럼 한 포지션이 여러 주문으로 나뉠 때 사용합니다.
+ * 
+ * @param {array} settlements - summarizeOrder()/settleOrder() 결과 목록
+ * @returns {object} { volume, funds, avgPrice, paidFee }
+ */
+function combineSettlements(settlements) {
+  const volume = settlements.reduce((sum, s) => sum + s.volume, 0);
+  const funds = settlements.reduce((sum, s) => sum + s.funds, 0);
+  const paidFee = settlements.reduce((sum, s) => sum + s.paidFee, 0);
+  return {
+    volume,
+    funds,
+    avgPrice: volume > 0 ? funds / volume : 0,
+    paidFee,
+  };
+}
+
+/**
+ * 주문이 확정될 때까지 조회 후 정산
+ * 
+ * 시장가 주문도 접수 직후에는 체결 내역이 비어 있을 수 있으므로
+ * 상태가 done/cancel이 될 때까지 getOrder를 반복합니다.
+ * 시간 안에 확정되지 않으면 마지막 조회 결과(부분 체결분)로 정산합니다.
+ * 
+ * @param {object} exchange - 거래소 모듈 (upbit-api 또는 paper-exchange)
+ * @param {string} uuid - 주문 UUID
+ * @param {number} timeoutMs - 최대 대기 시간 (기본 config.TRADE.SETTLE_TIMEOUT)
+ * @returns {Promise<object>} summarizeOrder() 결과
+ */
+async function settleOrder(exchange, uuid, timeoutMs = config.TRADE.SETTLE_TIMEOUT) {
+  const startTime = now();
+  let orderInfo = await exchange.getOrder(uuid);
+
+  while (!FINAL_STATES.includes(orderInfo.state) && now() - startTime < timeoutMs) {
+    await sleep(config.TRADE.SETTLE_POLL_INTERVAL);
+    orderInfo = await exchange.getOrder(uuid);
+  }
+
+  if (!FINAL_STATES.includes(orderInfo.state)) {
+    log('warn', `주문 ${uuid} 미확정 (${orderInfo.state}) - 현재 체결분으로 정산`);
+  }
+  return summarizeOrder(orderInfo);
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  FINAL_STATES,
+  summarizeOrder,
+  combineSettlements,
+  settleOrder,
+};
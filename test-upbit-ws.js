@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - WebSocket 재접속 테스트
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * upbit-ws.js를 로컬 시세 서버(upbit-ws-server.js)에 연결하고
+ * 서버 쪽에서 연결을 끊은 뒤 재접속과 구독 복구를 확인합니다.
+ * 업비트에 접속하지 않으며 실패하면 종료 코드 1로 끝납니다.
+ * 
+ * 실행: npm test
+ * ============================================================
+ */
+
+const assert = require('assert');
+const config = require('./config');
+const { createMarketStream } = require('./upbit-ws');
+const { startLocalServer } = require('./upbit-ws-server');
+
+// 전체 테스트 제한 시간 (밀리초)
+const TEST_TIMEOUT = 10000;
+
+// 재접속 대기를 줄여 빠르게 확인
+config.WS.RECONNECT_BASE_DELAY = 50;
+
+/**
+ * 이벤트 한 번 대기 (제한 시간 초과 시 실패)
+ * 
+ * @param {EventEmitter} emitter - 대상
+ * @param {string} event - 이벤트 이름
+ * @param {number} timeoutMs - 최대 대기 시간 (밀리초)
+ * @returns {Promise<any>} 이벤트 인자
+ */
+function once(emitter, event, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`'${event}' 이벤트 대기 시간 초과`)), timeoutMs);
+    emitter.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+/**
+ * 서버가 구독 요청을 받을 때까지 대기
+ * 
+ * @param {object} server - startLocalServer() 결과
+ * @param {string} code - 마켓 코드
+ * @param {Set} oldSockets - 제외할 (끊긴) 연결
+ * @returns {Promise<void>}
+ */
+async function waitForSubscription(server, code, oldSockets = new Set()) {
+  const deadline = Date.now() + 3000;
+  while (Date.now() < deadline) {
+    const subscribed = [...server.subscriptions]
+      .some(([socket, s]) => !oldSockets.has(socket) && s.ticker?.has(code));
+    if (subscribed) return;
+    await new Promise(r => setTimeout(r, 10));
+  }
+  throw new Error(`${code} 구독 요청 대기 시간 초과`);
+}
+
+async function testReconnect() {
+  console.log('\n🔌 재접속 및 구독 복구 테스트...');
+
+  const server = await startLocalServer();
+  const stream = createMarketStream({ url: server.url });
+
+  try {
+    assert.strictEqual(await stream.connect(), true, '첫 연결 실패');
+    stream.subscribe('KRW-BTC');
+    await waitForSubscription(server, 'KRW-BTC');
+
+    const ticks = stream.ticks('KRW-BTC');
+    server.pushTicker('KRW-BTC', 100000000);
+    assert.strictEqual((await ticks.next()).value.trade_price, 100000000);
+
+    // 서버에서 연결 강제 종료 → 재접속 후 같은 구독을 다시 보내야 함
+    const closed = once(stream, 'close');
+    const reopened = once(stream, 'open');
+    const oldSockets = new Set(server.subscriptions.keys());
+    server.dropConnections();
+    await closed;
+    assert.strictEqual(stream.isConnected(), false, '연결 끊김 후에도 연결 상태');
+    await reopened;
+    assert.strictEqual(stream.isConnected(), true, '재접속 실패');
+    await waitForSubscription(server, 'KRW-BTC', oldSockets);
+
+    // 재접속 후에도 같은 반복자로 계속 수신
+    server.pushTicker('KRW-BTC', 101000000);
+    assert.strictEqual((await ticks.next()).value.trade_price, 101000000);
+
+    stream.close();
+    assert.deepStrictEqual(await ticks.next(), { value: undefined, done: true }, 'close() 후 반복자 미종료');
+    console.log('✅ 재접속 및 구독 복구 성공!');
+  } finally {
+    stream.close();
+    await server.close();
+  }
+}
+
+async function main() {
+  const timer = setTimeout(() => {
+    console.log(`❌ 테스트 시간 초과 (${TEST_TIMEOUT / 1000}초)`);
+    process.exit(1);
+  }, TEST_TIMEOUT);
+
+  try {
+    await testReconnect();
+  } catch (e) {
+    console.log('❌ 테스트 실패:', e.message);
+    process.exitCode = 1;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+main();
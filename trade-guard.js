@@ -0,0 +1,133 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - LLM 매매가 검증
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * LLM이 제시한 매수가/익절가/손절가를 주문 전에 검사합니다.
+ * 
+ * 거부 (거래하지 않음):
+ * - invalid_number:        숫자가 아니거나 0 이하
+ * - inverted_levels:       손절가 < 매수가 < 익절가 순서가 아님
+ * - buy_price_deviation:   매수가가 현재가에서 MAX_BUY_DEVIATION% 넘게 벗어남
+ * - take_profit_below_fee: 익절해도 매수/매도 수수료를 빼면 MIN_PROFIT_MARGIN% 미만
+ * - reward_risk_too_low:   수수료 포함 손익비가 MIN_REWARD_RISK 미만
+ * - stop_too_wide:         손절 폭이 MAX_STOP_DISTANCE% 초과 (CLAMP_STOP_LOSS가 false일 때)
+ * 
+ * 조정 (거래함):
+ * - 손절 폭이 MAX_STOP_DISTANCE%를 넘으면 손절가를 그 폭까지 올림 (CLAMP_STOP_LOSS)
+ * 
+ * 가격은 호가 단위에 맞춘 뒤(normalizeTradePrices) 검사합니다.
+ * ============================================================
+ */
+
+const config = require('./config');
+const { normalizePrice, normalizeTradePrices } = require('./order-normalizer');
+
+// 거부 사유 코드 (trade_level_rejections.reason_code)
+const REJECT_REASON = {
+  INVALID_NUMBER: 'invalid_number',
+  INVERTED_LEVELS: 'inverted_levels',
+  BUY_PRICE_DEVIATION: 'buy_price_deviation',
+  TAKE_PROFIT_BELOW_FEE: 'take_profit_below_fee',
+  REWARD_RISK_TOO_LOW: 'reward_risk_too_low',
+  STOP_TOO_WIDE: 'stop_too_wide',
+};
+
+/**
+ * 거부 결과 생성
+ * 
+ * @param {string} code - REJECT_REASON 값
+ * @param {string} reason - 사유 (로그/DB 기록용)
+ * @returns {object} { ok: false, code, reason }
+ */
+function reject(code, reason) {
+  return { ok: false, code, reason };
+}
+
+/**
+ * LLM 매매가 검증
+ * 
+ * @param {object} analysis - LLM 분석 결과 { buyPrice, takeProfit, stopLoss, ... }
+ * @param {number} currentPrice - 현재가
+ * @returns {object} 통과: { ok: true, levels, adjustments } (levels: 호가 단위에 맞춘 분석 결과, adjustments: 조정 내역 문자열 배열)
+ *                   거부: { ok: false, code, reason }
+ * 
+ * @example
+ * const check = checkTradeLevels(await llm.analyzeTradePrices(...), currentPrice);
+ * if (!check.ok) throw new Error(check.reason);
+ */
+function checkTradeLevels(analysis, currentPrice) {
+  const {
+    MAX_BUY_DEVIATION, MIN_PROFIT_MARGIN, MIN_REWARD_RISK, MAX_STOP_DISTANCE, CLAMP_STOP_LOSS,
+  } = config.TRADE_GUARD;
+  const fee = config.TRADE.FEE_RATE;
+
+  for (const key of ['buyPrice', 'takeProfit', 'stopLoss']) {
+    const value = Number(analysis?.[key]);
+    if (!Number.isFinite(value) || value <= 0) {
+      return reject(REJECT_REASON.INVALID_NUMBER, `${key} 값이 올바르지 않음 (${analysis?.[key]})`);
+    }
+  }
+
+  const levels = normalizeTradePrices({
+    ...analysis,
+    buyPrice: Number(analysis.buyPrice),
+    takeProfit: Number(analysis.takeProfit),
+    stopLoss: Number(analysis.stopLoss),
+  });
+  const { buyPrice, takeProfit } = levels;
+  const adjustments = [];
+
+  if (!(levels.stopLoss < buyPrice && buyPrice < takeProfit)) {
+    return reject(REJECT_REASON.INVERTED_LEVELS,
+      `손절가 < 매수가 < 익절가가 아님 (손절 ${levels.stopLoss}, 매수 ${buyPrice}, 익절 ${takeProfit})`);
+  }
+
+  const deviation = Math.abs(buyPrice - currentPrice) / currentPrice * 100;
+  if (deviation > MAX_BUY_DEVIATION) {
+    return reject(REJECT_REASON.BUY_PRICE_DEVIATION,
+      `매수가 ${buyPrice}원이 현재가 ${currentPrice}원에서 ${deviation.toFixed(2)}% 벗어남 (허용 ${MAX_BUY_DEVIATION}%)`);
+  }
+
+  // 손절 폭이 너무 넓으면 허용 폭까지 손절가를 올림 (호가 단위 올림이라 허용 폭을 넘지 않음)
+  const stopDistance = (buyPrice - levels.stopLoss) / buyPrice * 100;
+  if (stopDistance > MAX_STOP_DISTANCE) {
+    if (!CLAMP_STOP_LOSS) {
+      return reject(REJECT_REASON.STOP_TOO_WIDE,
+        `손절 폭 ${stopDistance.toFixed(2)}% > ${MAX_STOP_DISTANCE}%`);
+    }
+    const clamped = normalizePrice(buyPrice * (1 - MAX_STOP_DISTANCE / 100), 'ceil');
+    adjustments.push(`손절가 ${levels.stopLoss} → ${clamped} (손절 폭 ${stopDistance.toFixed(2)}% > ${MAX_STOP_DISTANCE}%)`);
+    levels.stopLoss = clamped;
+  }
+
+  // 수수료 포함 손익: 매수 시 buyPrice × (1 + fee)를 내고 매도 시 price × (1 - fee)를 받음
+  const cost = buyPrice * (1 + fee);
+  const reward = takeProfit * (1 - fee) - cost;
+  const risk = cost - levels.stopLoss * (1 - fee);
+
+  const profitMargin = reward / cost * 100;
+  if (profitMargin < MIN_PROFIT_MARGIN) {
+    return reject(REJECT_REASON.TAKE_PROFIT_BELOW_FEE,
+      `익절 시 수수료 차감 수익률 ${profitMargin.toFixed(3)}% < ${MIN_PROFIT_MARGIN}% (익절가 ${takeProfit})`);
+  }
+
+  const rewardRisk = reward / risk;
+  if (rewardRisk < MIN_REWARD_RISK) {
+    return reject(REJECT_REASON.REWARD_RISK_TOO_LOW,
+      `수수료 포함 손익비 ${rewardRisk.toFixed(2)} < ${MIN_REWARD_RISK} (익절 ${takeProfit}, 손절 ${levels.stopLoss})`);
+  }
+
+  return { ok: true, levels, adjustments };
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  REJECT_REASON,
+  checkTradeLevels,
+};
@@ -0,0 +1,1340 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 트레이딩 파이프라인
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 스캔 → 페어 선정 → 거래 사이클로 이어지는 매매 로직입니다.
+ * index.js(실거래/모의거래)와 backtest.js(백테스트)가 같은 로직을 사용합니다.
+ * 
+ * 거래소, LLM, DB, Notion은 configure()로 교체할 수 있습니다.
+ * - 실거래: upbit-api.js / llm-analyzer.js / db.js / notion.js (기본값)
+ * - 모의거래: paper-exchange.js
+ * - 백테스트: 기록된 시세 재생기 + LLM 스텁 + 메모리 DB
+ * 
+ * 페어 선정과 매매가는 config.STRATEGY에 따라 LLM 또는 규칙 전략(rule-strategy.js)으로 정하고,
+ * LLM이 실패하거나 일일 예산을 넘으면 규칙 전략으로 대신 판단합니다.
+ * 
+ * 시간은 utils.now()/sleep()을 사용하므로 백테스트에서는 가상 시계로 흐릅니다.
+ * ============================================================
+ */
+
+const config = require('./config');
+const { log, sleep, now, toMySQLDateTime, getKstDayRange } = require('./utils');
+const upbit = require('./upbit-api');
+const defaultDb = require('./db');
+const defaultNotion = require('./notion');
+const defaultLlm = require('./llm-analyzer');
+const ruleStrategy = require('./rule-strategy');  // LLM 대체 전략 (selectBestPair / analyzeTradePrices)
+const { ERROR_ACTION, ERROR_KIND, errorAction } = require('./errors');
+const { normalizeVolume, prepareBuyLimit, validateOrder } = require('./order-normalizer');
+const { summarizeOrder, combineSettlements, settleOrder } = require('./settlement');
+const {
+  EXIT_REASON, EXIT_REASON_LABELS, calculateAtr, createExitPlan, updateStop, nextTakeProfit, positionDeadline, tightenStop,
+} = require('./exit-strategy');
+const { checkRiskLimits } = require('./risk-guard');
+const { calculateOrderBudget } = require('./position-sizer');
+const { createPortfolio } = require('./portfolio');
+const { checkTradeLevels } = require('./trade-guard');
+const { checkLiquidity, describeLiquidity } = require('./liquidity');
+const { applyMarketPolicies, isMarketAllowed, recordMarketOutcome } = require('./market-policy');
+const { createCircuitBreaker } = require('./circuit-breaker');
+const { createLedger } = require('./ledger');
+
+const { STRATEGY, STRATEGY_LABELS } = ruleStrategy;
+
+// ============================================================
+// 런타임 설정 (configure()로 오버라이드됨)
+// ============================================================
+let SEED_MONEY = config.DEFAULT_SEED_MONEY;          // 시드머니
+let MAX_CYCLE_TIME = config.DEFAULT_MAX_CYCLE_TIME;  // 사이클 최대 시간
+let PAPER_MODE = false;   // 모의거래 모드 여부
+let exchange = upbit;     // 주문/시세 조회 대상
+let llm = defaultLlm;     // 매매 판단 (LLM 또는 스텁)
+let db = defaultDb;       // 거래 기록 저장소
+let notion = defaultNotion;  // Notion 동기화
+let marketStream = null;  // 실시간 시세 스트림 (upbit-ws.js, 없으면 REST 폴링)
+let isRunning = () => true;  // 봇 실행 상태 확인 함수
+let circuitBreaker = createCircuitBreaker({ exchange, db, isSimulated: PAPER_MODE });  // 시장 전체 급락 감시
+let ledger = createLedger({ exchange });  // KRW 예약 / 봇 보유 수량
+
+/**
+ * 런타임 설정 변경
+ * 
+ * 전달한 항목만 교체하고 나머지는 기존 값을 유지합니다.
+ * 
+ * @param {object} options - 설정값
+ * @param {number} options.seedMoney - 시드머니 (원)
+ * @param {number} options.maxCycleTime - 사이클 최대 시간 (밀리초)
+ * @param {boolean} options.paperMode - 모의거래 여부 (DB/Notion 기록용)
+ * @param {object} options.exchange - upbit-api.js와 같은 함수 구성의 거래소
+ * @param {object} options.llm - selectBestPair / analyzeTradePrices 제공 객체
+ * @param {object} options.db - db.js와 같은 함수 구성의 저장소
+ * @param {object} options.notion - saveTradeToNotion 제공 객체
+ * @param {object} options.marketStream - 실시간 시세 스트림 (null이면 REST 폴링)
+ * @param {function} options.isRunning - 봇 실행 상태 확인 함수
+ * 
+ * @example
+ * trader.configure({ seedMoney: 10000, exchange: paperExchange, paperMode: true });
+ */
+function configure(options = {}) {
+  if (options.seedMoney !== undefined) SEED_MONEY = options.seedMoney;
+  if (options.maxCycleTime !== undefined) MAX_CYCLE_TIME = options.maxCycleTime;
+  if (options.paperMode !== undefined) PAPER_MODE = options.paperMode;
+  if (options.exchange) exchange = options.exchange;
+  if (options.llm) llm = options.llm;
+  if (options.db) db = options.db;
+  if (options.notion) notion = options.notion;
+  if (options.marketStream !== undefined) marketStream = options.marketStream;
+  if (options.isRunning) isRunning = options.isRunning;
+
+  // 거래소/저장소가 바뀌면 시세 기록과 원장도 새로 쌓음
+  circuitBreaker = createCircuitBreaker({ exchange, db, isSimulated: PAPER_MODE });
+  ledger = createLedger({ exchange });
+}
+
+/**
+ * 실시간 스트림 사용 가능 여부
+ * 
+ * @returns {boolean} 스트림이 설정되어 있고 연결된 상태인지
+ */
+function isStreaming() {
+  return marketStream !== null && marketStream.isConnected();
+}
+
+/**
+ * 모니터링용 현재가 조회
+ * 
+ * 실시간 스트림이 연결되어 있으면 다음 틱을 기다려 바로 반환합니다.
+ * 스트림이 없거나, 끊겼거나, 일정 시간 틱이 없으면 REST 현재가로 대체합니다.
+ * 
+ * @param {string} market - 마켓 코드
+ * @returns {Promise<number>} 현재가
+ */
+async function waitForPrice(market) {
+  if (isStreaming()) {
+    const tick = await marketStream.nextTick(market, config.WS.TICK_TIMEOUT);
+    if (tick) return tick.trade_price;
+  }
+
+  const ticker = await exchange.getTicker(market);
+  return ticker[0].trade_price;
+}
+
+/**
+ * 남은 수량 매도 가능 여부 확인
+ * 
+ * 익절 주문이 대부분 체결되고 남은 잔량이 최소 주문금액 미만이면
+ * 거래소가 주문을 받지 않으므로 매도를 생략합니다.
+ * 
+ * @param {string} market - 마켓 코드
+ * @param {number} price - 현재가
+ * @param {number} volume - 매도할 수량
+ * @returns {Promise<boolean>} 매도 가능 여부
+ */
+async function canSell(market, price, volume) {
+  try {
+    await validateOrder(exchange, { market, side: 'ask', price, volume });
+    return true;
+  } catch (error) {
+    if (error.kind !== ERROR_KIND.UNDER_MIN_TOTAL) throw error;
+    log('warn', `남은 수량 ${volume}이 최소 주문금액 미만 - 매도 생략`);
+    return false;
+  }
+}
+
+/**
+ * 대기 중인 주문 취소 후 정산
+ * 
+ * 취소 직전에 체결이 끝났을 수도 있으므로 취소 실패(주문 없음)는 무시하고,
+ * 주문 상태가 done/cancel로 확정될 때까지 조회합니다.
+ * 
+ * @param {string} uuid - 주문 UUID
+ * @returns {Promise<object>} 정산 결과 (settlement.js, 부분 체결 수량 포함)
+ */
+async function cancelRestingOrder(uuid) {
+  try {
+    await exchange.cancelOrder(uuid);
+  } catch (error) {
+    if (error.kind !== ERROR_KIND.NOT_FOUND) throw error;
+  }
+
+  return settleOrder(exchange, uuid);
+}
+
+/**
+ * 시장 서킷브레이커와 계좌 리스크 한도 확인 (신규 진입 전)
+ * 
+ * @returns {Promise<boolean>} 신규 진입 가능 여부
+ */
+async function canOpenPosition() {
+  const market = await circuitBreaker.check();
+  if (market.tripped) {
+    log('error', `🛑 신규 진입 중지 - 서킷브레이커: ${market.reason} (시장이 진정되면 자동 해제)`);
+    return false;
+  }
+
+  if (!config.RISK.ENABLED) return true;
+
+  const halt = await checkRiskLimits(db, {
+    isSimulated: PAPER_MODE,
+    baseEquity: config.RISK.BASE_EQUITY || SEED_MONEY,
+  });
+  if (!halt) return true;
+
+  const resume = halt.resumeAt
+    ? `${new Date(halt.resumeAt).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' })} 자동 해제`
+    : '수동 해제 필요 (node index.js --reset-risk)';
+  log('error', `🛑 신규 진입 중지 - ${halt.reason} (${resume})`);
+  return false;
+}
+
+/**
+ * 트레일링 스탑용 ATR 조회
+ * 
+ * @param {string} market - 마켓 코드
+ * @returns {Promise<number|null>} ATR (atr 모드가 아니거나 캔들이 부족하면 null)
+ */
+async function loadAtr(market) {
+  if (config.EXIT.TRAILING_MODE !== 'atr') return null;
+
+  const candles = await exchange.getCandles(market, config.SCAN.CANDLE_UNIT, config.EXIT.ATR_PERIOD + 1, config.SCAN.CANDLE_TYPE);
+  const atr = calculateAtr(candles);
+  if (!atr) log('warn', 'ATR 계산 불가 (캔들 부족) - 비율 트레일링으로 대체');
+  return atr;
+}
+
+/**
+ * 익절 지정가 주문을 새 가격으로 다시 걸기 (익절가 상향)
+ * 
+ * 기존 주문을 취소하고 취소 전 체결분은 sellFills에 더한 뒤,
+ * 남은 수량으로 새 익절 주문을 겁니다.
+ * 
+ * @param {object} position - managePosition()의 포지션
+ * @param {object} takeProfitInfo - 현재 익절 주문 정보
+ * @param {number} newPrice - 새 익절가
+ * @param {array} sellFills - 매도 체결 정산 목록 (취소분이 추가됨)
+ * @returns {Promise<object|null>} 새 익절 주문 정보 (남은 수량이 없거나 최소 주문금액 미만이면 null)
+ */
+async function replaceTakeProfitOrder(position, takeProfitInfo, newPrice, sellFills) {
+  sellFills.push(await cancelRestingOrder(takeProfitInfo.uuid));
+
+  const remainingVolume = normalizeVolume(position.volume - combineSettlements(sellFills).volume);
+  if (remainingVolume <= 0 || !(await canSell(position.market, newPrice, remainingVolume))) {
+    return null;
+  }
+
+  await ledger.checkSell(position.market, remainingVolume);
+  const order = await exchange.sellLimit(position.market, newPrice, remainingVolume);
+  await db.updateTakeProfitOrder(position.tradeId, order.uuid);
+  return order;
+}
+
+/**
+ * ============================================================
+ * [스캔-1~2] 페어 스캔 및 필터링
+ * ============================================================
+ * 
+ * 1. 업비트의 모든 KRW 마켓(원화 거래) 목록 조회
+ * 2. market_event 정보를 기반으로 변동성 높은 페어 필터링
+ *    - warning: 투자 경고
+ *    - caution: 가격급등락, 거래량급증, 입금량급증
+ * 3. 조건에 맞는 페어가 없으면 변동성 5% 이상 페어 선택
+ * 4. 마켓 정책(허용/차단 목록, 손실 후 쿨다운, 영구 차단)에 걸린 페어 제외 (market-policy.js)
+ */
+async function scanPairs() {
+  // [스캔-1] 전체 페어 목록 조회
+  log('info', '[스캔-1] 페어 목록 조회 중...');
+  const markets = await exchange.getMarkets();
+  log('info', `총 ${markets.length}개 KRW 페어 조회됨`);
+
+  // [스캔-2] 조건에 맞는 페어 필터링
+  log('info', '[스캔-2] 조건에 맞는 페어 필터링 중...');
+  let filtered = exchange.filterMarkets(markets);
+  
+  // 경고/주의 페어가 없으면 변동성 기준으로 폴백
+  if (filtered.length === 0) {
+    log('warn', '경고/주의 페어 없음. 상위 거래량 페어에서 변동성 체크...');
+    const tickers = await exchange.getTicker(markets.slice(0, 30).map(m => m.market));
+    filtered = markets.slice(0, 30).filter((m, i) => {
+      const ticker = tickers.find(t => t.market === m.market);
+      if (!ticker) return false;
+      const volatility = Math.abs(ticker.signed_change_rate * 100);
+      return volatility >= config.SCAN.MIN_VOLATILITY;
+    });
+  }
+
+  // 허용/차단 목록, 손실 후 쿨다운, 영구 차단 마켓 제외 (LLM 호출 전)
+  filtered = await applyMarketPolicies(db, filtered, PAPER_MODE);
+
+  log('info', `${filtered.length}개 페어 필터링됨`);
+  return filtered;
+}
+
+/**
+ * ============================================================
+ * [스캔-3] 페어별 상세 데이터 조회
+ * ============================================================
+ * 
+ * 필터링된 페어들의 상세 시세 데이터를 조회합니다.
+ * - 캔들(OHLCV) 데이터: 가격 추세 분석용
+ * - 호가 데이터: 매수/매도 압력 분석용
+ * - 현재가 데이터: 변동률, 거래량 등
+ * 
+ * 최대 10개 페어만 분석하여 API 호출 최소화
+ * (호출 속도는 rate-limiter.js가 그룹별 한도에 맞춰 조절)
+ * 
+ * 호가로 계획 매수 금액의 슬리피지를 추정해, config.LIQUIDITY 한도를 넘는 페어는 제외합니다.
+ * 
+ * @param {array} markets - scanPairs() 결과
+ * @param {object} options
+ * @param {number} options.plannedBudget - 계획 매수 금액 (원, 기본 시드머니)
+ * @returns {Promise<array>} 페어 상세 데이터 (liquidity 포함)
+ */
+async function getPairDetails(markets, { plannedBudget = SEED_MONEY } = {}) {
+  log('info', '[스캔-3] 페어별 캔들/호가 데이터 조회 중...');
+  const details = [];
+
+  // 최대 10개 페어만 분석 (API 부하 방지)
+  for (const market of markets.slice(0, 10)) {
+    try {
+      // 병렬로 데이터 조회 (성능 최적화)
+      const [candles, orderbook, ticker] = await Promise.all([
+        exchange.getCandles(market.market, config.SCAN.CANDLE_UNIT, config.SCAN.CANDLE_COUNT, config.SCAN.CANDLE_TYPE),
+        exchange.getOrderbook(market.market),
+        exchange.getTicker(market.market),
+      ]);
+
+      // 계획 매수 금액으로 시장가 매수/긴급 매도 슬리피지 추정 - 한도 초과 페어는 LLM 후보에서 제외
+      const liquidity = checkLiquidity(orderbook, plannedBudget);
+      if (config.LIQUIDITY.ENABLED && !liquidity.ok) {
+        log('warn', `${market.market} 제외 - 유동성 부족 (${liquidity.reason}): ${describeLiquidity(liquidity)}`);
+        continue;
+      }
+
+      details.push({
+        market: market.market,           // 마켓 코드 (예: KRW-BTC)
+        koreanName: market.korean_name,  // 한글명 (예: 비트코인)
+        candles: candles.slice(0, 50),   // LLM 토큰 절약을 위해 50개만
+        orderbook,                       // 호가 데이터
+        liquidity,                       // 유동성/슬리피지 추정 (liquidity.js)
+        currentPrice: ticker[0].trade_price,           // 현재가
+        changeRate: ticker[0].signed_change_rate * 100, // 변동률(%)
+        volume24h: ticker[0].acc_trade_price_24h,      // 24시간 거래대금
+      });
+    } catch (e) {
+      log('error', `${market.market} 데이터 조회 실패: ${e.message}`);
+    }
+  }
+
+  return details;
+}
+
+/**
+ * LLM 호출 기록 저장 (llm_calls)
+ * 
+ * 실패한 호출(provider 전환, 형식 오류 재요청)도 모두 저장합니다.
+ * 
+ * @param {array} calls - llm-analyzer.js가 채운 호출 기록
+ * @returns {Promise<array>} 저장된 llm_calls.id 목록 (호출 순서)
+ */
+async function saveLlmCalls(calls) {
+  const ids = [];
+  for (const call of calls) {
+    ids.push(await db.logLlmCall({ ...call, isSimulated: PAPER_MODE, calledAt: toMySQLDateTime(new Date(now())) }));
+  }
+  return ids;
+}
+
+/**
+ * LLM 일일 예산 확인 (config.STRATEGY.LLM_DAILY_CALL_LIMIT / LLM_DAILY_TOKEN_LIMIT)
+ * 
+ * @returns {Promise<string|null>} 초과 사유 (한도 안이거나 한도가 없으면 null)
+ */
+async function checkLlmBudget() {
+  const { LLM_DAILY_CALL_LIMIT, LLM_DAILY_TOKEN_LIMIT } = config.STRATEGY;
+  if (!LLM_DAILY_CALL_LIMIT && !LLM_DAILY_TOKEN_LIMIT) return null;
+
+  const dayStart = toMySQLDateTime(new Date(getKstDayRange(now()).start));
+  const usage = await db.getLlmUsage(dayStart, PAPER_MODE);
+  if (LLM_DAILY_CALL_LIMIT > 0 && usage.calls >= LLM_DAILY_CALL_LIMIT) {
+    return `오늘 LLM 호출 ${usage.calls}회 (한도 ${LLM_DAILY_CALL_LIMIT}회)`;
+  }
+  if (LLM_DAILY_TOKEN_LIMIT > 0 && usage.tokens >= LLM_DAILY_TOKEN_LIMIT) {
+    return `오늘 LLM 토큰 ${usage.tokens.toLocaleString()}개 (한도 ${LLM_DAILY_TOKEN_LIMIT.toLocaleString()}개)`;
+  }
+  return null;
+}
+
+/**
+ * 이번 판단에 LLM을 쓸지 확인 (기본 전략이 규칙이거나 LLM 예산을 넘었으면 false)
+ * 
+ * @param {string} label - 로그용 작업 이름
+ * @returns {Promise<boolean>} LLM 사용 여부
+ */
+async function shouldUseLlm(label) {
+  if (config.STRATEGY.PRIMARY === STRATEGY.RULE) return false;
+
+  const overBudget = await checkLlmBudget();
+  if (overBudget) {
+    log('warn', `LLM 예산 초과 - 규칙 전략으로 ${label}: ${overBudget}`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * ============================================================
+ * [스캔-4] 최적 페어 선정 (LLM 또는 규칙 전략)
+ * ============================================================
+ * 
+ * 수집된 데이터를 분석하고
+ * 30분 내 상승 가능성이 가장 높은 페어 1개를 선정합니다.
+ * 선정 결과의 strategy는 선정에 쓴 전략이고, llmCallId는 판단 근거가 된 LLM 호출(llm_calls.id)이며
+ * 이 페어로 만든 거래에 기록됩니다 (규칙 전략으로 선정하면 null).
+ * LLM 호출이 실패하면 config.STRATEGY.FALLBACK_TO_RULE에 따라 규칙 전략으로 선정합니다.
+ */
+async function selectBestPair(pairsData) {
+  let useRule = !(await shouldUseLlm('페어 선정'));
+  let result = null;
+  let callIds = [];
+
+  if (!useRule) {
+    log('info', '[스캔-4] LLM 분석으로 최적 페어 선정 중...');
+    const calls = [];
+    try {
+      result = await llm.selectBestPair(pairsData, { calls });
+    } catch (error) {
+      if (!config.STRATEGY.FALLBACK_TO_RULE) throw error;
+      log('warn', `LLM 페어 선정 실패 - 규칙 전략으로 대체: ${error.message}`);
+      useRule = true;
+    } finally {
+      callIds = await saveLlmCalls(calls);
+    }
+  }
+
+  if (useRule) {
+    log('info', '[스캔-4] 규칙 전략으로 최적 페어 선정 중...');
+    result = ruleStrategy.selectBestPair(pairsData);
+  }
+  if (result === null) return null;
+
+  const strategy = useRule ? STRATEGY.RULE : STRATEGY.LLM;
+  log('success', `선정된 페어: ${result.selectedPair} (${result.koreanName}) - 신뢰도: ${(result.confidence * 100).toFixed(1)}% (${STRATEGY_LABELS[strategy]})`);
+  return { ...result, strategy, llmCallId: useRule ? null : (callIds[callIds.length - 1] ?? null) };
+}
+
+/**
+ * [스캔-5] 매수가, 익절가, 손절가 산출 (LLM 또는 규칙 전략)
+ * 
+ * 규칙 전략으로 선정한 페어는 매매가도 규칙 전략으로 정합니다.
+ * LLM 호출이 실패하면 config.STRATEGY.FALLBACK_TO_RULE에 따라 규칙 전략으로 정합니다.
+ * 
+ * @param {object} selectedPair - selectBestPair() 결과
+ * @param {array} candles - 캔들 데이터
+ * @param {object} orderbook - 호가 데이터
+ * @param {number} currentPrice - 현재가
+ * @returns {Promise<object>} { analysis, strategy, llmCallIds } (llmCallIds: 저장된 LLM 호출 ID, 거래가 만들어지면 연결)
+ */
+async function analyzeTradePrices(selectedPair, candles, orderbook, currentPrice) {
+  const { selectedPair: market, koreanName } = selectedPair;
+  let analysis = null;
+  let llmCallIds = [];
+
+  if (selectedPair.strategy !== STRATEGY.RULE && await shouldUseLlm('매매가 산출')) {
+    log('info', '[스캔-5] LLM 매매가 분석 중...');
+    const calls = [];
+    try {
+      analysis = await llm.analyzeTradePrices(market, koreanName, candles, orderbook, currentPrice, { calls });
+    } catch (error) {
+      if (!config.STRATEGY.FALLBACK_TO_RULE) throw error;
+      log('warn', `LLM 매매가 분석 실패 - 규칙 전략으로 대체: ${error.message}`);
+    } finally {
+      llmCallIds = await saveLlmCalls(calls);
+    }
+    if (analysis !== null) return { analysis, strategy: STRATEGY.LLM, llmCallIds };
+  }
+
+  log('info', '[스캔-5] 규칙 전략으로 매매가 산출 중...');
+  analysis = ruleStrategy.analyzeTradePrices(market, koreanName, candles, orderbook, currentPrice);
+  return { analysis, strategy: STRATEGY.RULE, llmCallIds };
+}
+
+/**
+ * ============================================================
+ * 보유 포지션 관리 ([거래-2] ~ [관리-6])
+ * ============================================================
+ * 
+ * 매수가 끝난 포지션에 익절 지정가 주문을 걸고, 손절을 감시하다가
+ * 매도 정산 후 DB와 Notion에 기록합니다.
+ * 손절선은 config.EXIT 설정에 따라 트레일링/본전 스탑으로 올라가고,
+ * 익절 주문은 가격이 익절가에 가까워지면 더 높은 가격으로 다시 걸 수 있습니다.
+ * 정상 거래(tradingCycle)와 재시작 복구(recoverOpenTrades)가 함께 사용합니다.
+ * 
+ * @param {object} position - 보유 포지션
+ * @param {number} position.tradeId - 거래 레코드 ID
+ * @param {string} position.market - 마켓 코드
+ * @param {string} position.koreanName - 한글 코인명
+ * @param {number} position.takeProfit - 익절가
+ * @param {number} position.stopLoss - 손절가
+ * @param {number} position.volume - 보유 수량
+ * @param {number} position.buyTotalAmount - 매수 금액 (원)
+ * @param {number} position.buyFee - 매수 수수료 (원)
+ * @param {number} position.buyPrice - 평균 매수 단가
+ * @param {string} position.buyDatetime - 매수 일시 (ISO)
+ * @param {string} position.takeProfitOrderUuid - 이미 걸려 있는 익절 주문 UUID (복구 시)
+ * @param {object} options
+ * @param {boolean} options.closeNow - 모니터링 없이 즉시 청산 (복구 정책 'close')
+ * @param {number} options.cycleDeadline - 사이클 마감 시각 (epoch 밀리초, config.EXIT.CYCLE_DEADLINE이면 이때 청산)
+ * @returns {Promise<object>} { result: '익절'|'손절'|'청산'|'시간초과', profitRate }
+ */
+async function managePosition(position, { closeNow = false, cycleDeadline = null } = {}) {
+  const { tradeId, market, koreanName, takeProfit, buyTotalAmount, buyFee, buyPrice } = position;
+  const executedVolume = position.volume;
+
+  // ========================================
+  // [거래-2] 익절 지정가 매도 주문 (거래소에 걸어둠)
+  // ========================================
+  // 프로세스가 죽어도 익절은 거래소에서 체결되도록 매수 직후 걸어두고 uuid를 저장
+  // (재시작 복구 시에는 이미 걸린 주문을 이어서 사용)
+  let takeProfitInfo = null;
+  if (position.takeProfitOrderUuid) {
+    takeProfitInfo = await exchange.getOrder(position.takeProfitOrderUuid);
+  } else if (!closeNow) {
+    log('info', `[거래-2] 익절 지정가 매도 주문: ${takeProfit.toLocaleString()}원`);
+    await validateOrder(exchange, { market, side: 'ask', price: takeProfit, volume: executedVolume });
+    await ledger.checkSell(market, executedVolume);
+    takeProfitInfo = await exchange.sellLimit(market, takeProfit, executedVolume);
+    await db.updateTakeProfitOrder(tradeId, takeProfitInfo.uuid);
+  }
+
+  // ========================================
+  // [거래-3] 실시간 모니터링 (익절 체결 확인 / 손절 감시)
+  // ========================================
+  log('info', '[거래-3] 실시간 가격 모니터링 중...');
+  const alreadyFilled = takeProfitInfo?.state === 'done';  // 재시작 전에 익절 체결됨
+  let sellTriggered = closeNow || alreadyFilled;
+  let sellReason = alreadyFilled ? '익절' : (closeNow ? '청산' : '');
+  let exitReason = closeNow && !alreadyFilled ? EXIT_REASON.CLOSE : EXIT_REASON.FIXED;
+  let lastPrice = closeNow ? await waitForPrice(market) : buyPrice;
+  const sellFills = [];  // 매도 체결 정산 (상향 전 익절 주문의 부분 체결분 포함)
+
+  // 손절선/익절가 이동 계획 (트레일링/본전 스탑, 익절가 상향)
+  const exitPlan = createExitPlan(position, { atr: sellTriggered ? null : await loadAtr(market) });
+  let lastOrderCheck = now();
+  const holdStartTime = now();
+  let lastStatusTime = 0;  // 마지막 상태 로그 시각 (포트폴리오 모드)
+
+  // 청산 기한 (최대 보유 시간 / 사이클 마감) - 기한이 되면 시장가 청산
+  const deadline = positionDeadline(position, cycleDeadline);
+  if (deadline && !sellTriggered) {
+    log('info', `청산 기한: ${new Date(deadline).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' })} (${config.EXIT.DEADLINE_ACTION})`);
+  }
+
+  // 실시간 스트림 구독 (연결되어 있으면 틱마다 반응)
+  if (marketStream) marketStream.subscribe(market);
+
+  // 익절 체결/손절까지 모니터링
+  while (!sellTriggered) {
+    const price = await waitForPrice(market);
+    lastPrice = price;
+    const elapsed = ((now() - holdStartTime) / 60000).toFixed(1);
+    const pnl = ((price - buyPrice) / buyPrice * 100).toFixed(2);
+
+    // 실시간 상태 표시 (같은 줄에 덮어쓰기) - 포지션이 여럿이면 줄이 섞이므로 마켓별로 주기적으로 로그
+    const status = `💹 ${market} 현재가: ${price.toLocaleString()}원 | 손익: ${pnl}% | 경과: ${elapsed}분`;
+    if (config.PORTFOLIO.MAX_POSITIONS > 1) {
+      if (now() - lastStatusTime >= config.PORTFOLIO.STATUS_INTERVAL) {
+        log('info', status);
+        lastStatusTime = now();
+      }
+    } else {
+      process.stdout.write(`\r${status}    `);
+    }
+
+    // 손절선 갱신: 최고가에 따라 트레일링/본전 스탑으로 올라가고, 기한 직전에는 현재가 가까이 조임
+    const prevStopPrice = exitPlan.stopPrice;
+    updateStop(exitPlan, price);
+    if (deadline && config.EXIT.DEADLINE_ACTION === 'tighten' && now() >= deadline - config.EXIT.TIGHTEN_BEFORE) {
+      tightenStop(exitPlan, price);
+    }
+    if (exitPlan.stopPrice > prevStopPrice) {
+      log('info', `\n손절선 상향 (${EXIT_REASON_LABELS[exitPlan.stopReason]}): ${prevStopPrice.toLocaleString()}원 → ${exitPlan.stopPrice.toLocaleString()}원`);
+    }
+
+    // 시장 전체 급락 (서킷브레이커 FORCE_EXIT) → 익절 주문 취소 후 시장가 매도
+    if (config.CIRCUIT_BREAKER.FORCE_EXIT && (await circuitBreaker.check()).tripped) {
+      sellTriggered = true;
+      exitReason = EXIT_REASON.CIRCUIT;
+      sellReason = price >= buyPrice ? '익절' : '손절';
+      log('warn', `\n🛑 서킷브레이커 발동 - 보유 포지션 청산! ${price.toLocaleString()}원`);
+    }
+    // 청산 기한 도달 → 익절 주문 취소 후 시장가 매도
+    else if (deadline && now() >= deadline) {
+      sellTriggered = true;
+      exitReason = EXIT_REASON.TIMEOUT;
+      sellReason = '시간초과';
+      log('warn', `\n⏰ 청산 기한 도달! ${price.toLocaleString()}원 (보유 ${elapsed}분)`);
+    }
+    // 손절 조건: 현재가 <= 손절선 → 익절 주문 취소 후 시장가 매도
+    else if (price <= exitPlan.stopPrice) {
+      sellTriggered = true;
+      exitReason = exitPlan.stopReason;
+      if (exitReason === EXIT_REASON.FIXED) {
+        sellReason = '손절';
+        log('warn', `\n🚨 손절가 도달! ${price.toLocaleString()}원`);
+      } else if (exitReason === EXIT_REASON.TIMEOUT) {
+        sellReason = '시간초과';
+        log('warn', `\n⏰ 기한 전 조인 손절선 도달! ${price.toLocaleString()}원 (손절선 ${exitPlan.stopPrice.toLocaleString()}원)`);
+      } else {
+        sellReason = price >= buyPrice ? '익절' : '손절';
+        log('warn', `\n🚨 ${EXIT_REASON_LABELS[exitReason]} 스탑 도달! ${price.toLocaleString()}원 (손절선 ${exitPlan.stopPrice.toLocaleString()}원)`);
+      }
+    }
+    // 익절 주문 체결 확인: 익절가 도달 시 또는 주기적으로 조회
+    else if (price >= exitPlan.takeProfit || now() - lastOrderCheck >= config.TRADE.TAKE_PROFIT_CHECK_INTERVAL) {
+      lastOrderCheck = now();
+      takeProfitInfo = await exchange.getOrder(takeProfitInfo.uuid);
+
+      if (takeProfitInfo.state === 'done') {
+        sellTriggered = true;
+        sellReason = '익절';
+        log('success', `\n🎯 익절 주문 체결! ${exitPlan.takeProfit.toLocaleString()}원`);
+      } else if (takeProfitInfo.state === 'cancel') {
+        // 거래소에서 직접 취소한 경우 남은 수량은 시장가로 정리
+        sellTriggered = true;
+        sellReason = price >= buyPrice ? '익절' : '손절';
+        log('warn', '\n익절 주문이 외부에서 취소됨 - 남은 수량 시장가 매도');
+      }
+    }
+
+    // 익절가 상향: 익절가 근처까지 오르면 익절 주문을 한 단계 위로 다시 걸기
+    const newTakeProfit = sellTriggered ? null : nextTakeProfit(exitPlan, price);
+    if (newTakeProfit) {
+      log('info', `\n익절가 상향: ${exitPlan.takeProfit.toLocaleString()}원 → ${newTakeProfit.toLocaleString()}원`);
+      takeProfitInfo = await replaceTakeProfitOrder(position, takeProfitInfo, newTakeProfit, sellFills);
+      exitPlan.takeProfit = newTakeProfit;
+      exitPlan.ratchetCount++;
+
+      // 취소 직전에 기존 익절 주문이 모두 체결된 경우
+      if (!takeProfitInfo) {
+        sellTriggered = true;
+        sellReason = '익절';
+      }
+    }
+
+    // 스트림은 다음 틱을 기다리므로 REST 폴링일 때만 대기
+    if (!sellTriggered && !isStreaming()) {
+      await sleep(500);  // 0.5초 간격 체크 (빠른 반응)
+    }
+  }
+
+  if (marketStream) marketStream.unsubscribe(market);
+
+  // ========================================
+  // [관리-4] 매도 체결 확인
+  // ========================================
+  log('info', '[관리-4] 매도 체결 확인 중...');
+
+  // 익절 주문이 아직 걸려 있으면 취소하고 (부분 체결분 포함) 정산
+  if (takeProfitInfo) {
+    sellFills.push(takeProfitInfo.state === 'done'
+      ? summarizeOrder(takeProfitInfo)
+      : await cancelRestingOrder(takeProfitInfo.uuid));
+  }
+
+  // 익절 주문으로 팔리지 않은 수량은 시장가 매도
+  const remainingVolume = normalizeVolume(executedVolume - combineSettlements(sellFills).volume);
+  if (remainingVolume > 0 && await canSell(market, lastPrice, remainingVolume)) {
+    log('info', `[관리-4] 남은 수량 시장가 매도: ${remainingVolume}`);
+    await ledger.checkSell(market, remainingVolume);
+    const sellOrder = await exchange.sellMarket(market, remainingVolume);
+    sellFills.push(await settleOrder(exchange, sellOrder.uuid));
+  }
+
+  // 매도 체결 정보 합산 (익절 주문 + 시장가 매도, 체결 내역 기준 VWAP)
+  const sellSettlement = combineSettlements(sellFills);
+  const sellTotalAmount = sellSettlement.funds;
+  const sellFee = sellSettlement.paidFee;
+  const sellPrice = sellSettlement.avgPrice;
+
+  // 포지션 종료 - 최소 주문금액 미만으로 남은 수량도 봇 보유분에서 제외
+  ledger.removeInventory(market, executedVolume);
+
+  // 실현 손익 = (매도 금액 - 매도 수수료) - (매수 금액 + 매수 수수료)
+  const profitAmount = (sellTotalAmount - sellFee) - (buyTotalAmount + buyFee);
+  const profitRate = (profitAmount / buyTotalAmount) * 100;
+
+  // ========================================
+  // [관리-5] DB 매도 완료 업데이트
+  // ========================================
+  await db.updateSellComplete(tradeId, {
+    sellTotalAmount,
+    sellDatetime: toMySQLDateTime(new Date(now())),
+    sellUnitPrice: sellPrice,
+    sellFee,
+    profitRate,
+    profitAmount,
+    exitReason,
+  });
+
+  // 손실이면 마켓 쿨다운 (반복 손실이면 영구 차단)
+  await recordMarketOutcome(db, { market, profitAmount, isSimulated: PAPER_MODE });
+
+  // ========================================
+  // [관리-6] Notion에 기록
+  // ========================================
+  log('info', '[관리-6] Notion에 거래 기록 저장...');
+  await notion.saveTradeToNotion({
+    coinNameKo: koreanName,
+    orderStatus: sellReason === '익절' ? '매도완료' : (sellReason === '손절' ? '손절' : '매도완료'),
+    systemVersion: config.VERSION,
+    isSimulated: PAPER_MODE,
+    buyTotalAmount,
+    buyDatetime: position.buyDatetime,
+    buyUnitPrice: buyPrice,
+    sellTotalAmount,
+    sellDatetime: new Date(now()).toISOString(),
+    sellUnitPrice: sellPrice,
+    profitRate,
+    profitAmount,
+    exitReason: EXIT_REASON_LABELS[exitReason],
+  });
+
+  // 거래 완료 로그
+  log('trade', `\n거래 완료: ${koreanName}`);
+  log('trade', `매수: ${buyPrice.toLocaleString()}원 → 매도: ${sellPrice.toLocaleString()}원`);
+  log('trade', `수익: ${profitAmount.toLocaleString()}원 (${profitRate.toFixed(2)}%) - 청산 사유: ${EXIT_REASON_LABELS[exitReason]}`);
+
+  return { result: sellReason, profitRate };
+}
+
+/**
+ * ============================================================
+ * [거래반복1] 메인 거래 루프
+ * ============================================================
+ * 
+ * 선정된 페어로 실제 매매를 수행합니다.
+ * 30분(설정 가능) 동안 반복하며:
+ * 
+ * 1. LLM(또는 규칙 전략)으로 매수가/익절가/손절가 산출
+ * 2. 지정가 매수 주문 → 미체결 시 시장가 전환
+ * 3. 실시간 가격 모니터링
+ * 4. 익절/손절/시간초과 시 시장가 매도
+ * 5. DB & Notion에 기록
+ * 6. 다음 거래를 위해 데이터 재조회
+ * 
+ * @param {object} selectedPair - 선정된 페어 정보
+ * @param {object} pairDetail - 페어 상세 데이터
+ * @param {object} options
+ * @param {number} options.budgetCap - 매수 금액 상한 (원, 포트폴리오 배정 금액)
+ * @param {number} options.cycleDeadline - 사이클 마감 시각 (epoch 밀리초, 보유 중이면 이때 청산)
+ */
+async function tradingCycle(selectedPair, pairDetail, { budgetCap = null, cycleDeadline = null } = {}) {
+  const market = selectedPair.selectedPair;
+  const koreanName = selectedPair.koreanName;
+
+  log('info', `\n${'='.repeat(60)}`);
+  log('info', `거래 실행: ${koreanName} (${market})`);
+  log('info', `${'='.repeat(60)}\n`);
+
+  // 🆕 [v1.0.2] 단일 거래 실행 (루프는 메인에서 관리)
+  try {
+      // ========================================
+      // [스캔-5] 매매가 분석 (LLM 또는 규칙 전략)
+      // ========================================
+      const candles = await exchange.getCandles(market, config.SCAN.CANDLE_UNIT, config.SCAN.CANDLE_COUNT, config.SCAN.CANDLE_TYPE);
+      const orderbook = await exchange.getOrderbook(market);
+      const ticker = await exchange.getTicker(market);
+      const currentPrice = ticker[0].trade_price;
+
+      // 매수가, 익절가, 손절가 산출 (LLM 호출 기록은 거래가 만들어지면 연결)
+      const { analysis, strategy, llmCallIds } = await analyzeTradePrices(selectedPair, candles, orderbook, currentPrice);
+
+      // 호가 단위에 맞추고 가격 순서/손익비/손절 폭 검증 - 거부되면 기록 후 페어 포기
+      const levelCheck = checkTradeLevels(analysis, currentPrice);
+      if (!levelCheck.ok) {
+        await db.logLevelRejection({
+          market,
+          coinNameKo: koreanName,
+          currentPrice,
+          analysis,
+          reasonCode: levelCheck.code,
+          reason: levelCheck.reason,
+          isSimulated: PAPER_MODE,
+        });
+        throw new Error(`${STRATEGY_LABELS[strategy]} 매매가 거부 (${levelCheck.code}): ${levelCheck.reason}`);
+      }
+      levelCheck.adjustments.forEach(adjustment => log('warn', `${STRATEGY_LABELS[strategy]} 매매가 조정: ${adjustment}`));
+      const tradeAnalysis = levelCheck.levels;
+
+      // 포지션 크기 결정 (config.SIZING.POLICY)
+      const { budget } = await calculateOrderBudget(exchange, {
+        market,
+        seedMoney: SEED_MONEY,
+        buyPrice: tradeAnalysis.buyPrice,
+        stopLoss: tradeAnalysis.stopLoss,
+        confidence: selectedPair.confidence,
+        maxBudget: budgetCap,
+      });
+
+      // 잔고나 리스크 예산이 최소 주문금액에 못 미치면 주문 없이 건너뜀 (사유는 position-sizer에서 로그)
+      if (budget === 0) {
+        await sleep(5000);
+        return { result: 'skip', profitRate: 0 };
+      }
+
+      // 실제 매수 금액으로 유동성 재확인 (거래 기록에 추정치 저장)
+      const liquidity = checkLiquidity(orderbook, budget);
+      if (config.LIQUIDITY.ENABLED && !liquidity.ok) {
+        throw new Error(`유동성 부족 (${liquidity.reason}): ${describeLiquidity(liquidity)}`);
+      }
+      log('info', `유동성 추정: ${describeLiquidity(liquidity)}`);
+
+      // 주문 전 검증 (최소 주문금액, 주문 가능 잔고) - 실패 시 DB 기록 없이 중단
+      const buyParams = await prepareBuyLimit(exchange, market, tradeAnalysis.buyPrice, budget);
+
+      // 다른 포지션의 예약분을 뺀 KRW로 매수 금액 예약 (ledger.js)
+      await ledger.reserveKrw(market, budget);
+
+      // ========================================
+      // [관리-1] DB에 거래 기록 생성
+      // ========================================
+      log('info', '[관리-1] DB에 거래 기록 생성...');
+      const tradeId = await db.createTrade({
+        coinNameKo: koreanName,
+        market,
+        buyPrice: tradeAnalysis.buyPrice,
+        takeProfit: tradeAnalysis.takeProfit,
+        stopLoss: tradeAnalysis.stopLoss,
+        isSimulated: PAPER_MODE,
+        liquidity,
+        selectionCallId: selectedPair.llmCallId,
+        strategy,
+      });
+      await db.linkLlmCalls(tradeId, llmCallIds);
+
+      // ========================================
+      // [거래-1] 지정가 매수 주문
+      // ========================================
+      log('info', '[거래-1] 지정가 매수 주문 발송...');
+      // 수량은 수수료를 뺀 매수 금액 기준, 소수점 8자리 내림 (prepareBuyLimit)
+      // 접수되면 거래소가 KRW를 묶으므로 예약은 주문 직후 반납
+      const buyOrder = await exchange.buyLimit(market, buyParams.price, buyParams.volume);
+      ledger.releaseKrw(market);
+
+      // ========================================
+      // [관리-2] 매수 주문 발송 상태 업데이트
+      // ========================================
+      await db.updateBuyOrderSent(tradeId, buyOrder.uuid);
+
+      // ========================================
+      // [관리-3] 매수 체결 대기
+      // ========================================
+      log('info', '[관리-3] 매수 체결 대기 중...');
+      let buyCompleted = false;
+      let orderInfo = null;
+      const buyStartTime = now();
+
+      // 주문 타임아웃까지 체결 확인 (기본 1분)
+      while (!buyCompleted && now() - buyStartTime < config.TRADE.ORDER_TIMEOUT) {
+        orderInfo = await exchange.getOrder(buyOrder.uuid);
+        
+        // done: 체결 완료, cancel: 취소됨
+        if (orderInfo.state === 'done' || orderInfo.state === 'cancel') {
+          buyCompleted = orderInfo.state === 'done';
+          break;
+        }
+        
+        await sleep(1000);  // 1초 간격 체크
+      }
+
+      const buyFills = [];
+
+      // 미체결(부분 체결 포함) 시 주문 취소 후 남은 금액만 시장가 매수
+      if (!buyCompleted) {
+        log('warn', '매수 미체결 - 주문 취소 후 남은 금액 시장가 매수...');
+        const limitFill = await cancelRestingOrder(buyOrder.uuid);
+        buyFills.push(limitFill);
+
+        // 매수 금액에서 수수료와 지정가 체결분을 뺀 금액
+        const chance = await exchange.getOrderChance(market);
+        const remainingKrw = Math.floor(budget * (1 - parseFloat(chance.bid_fee)) - limitFill.funds);
+
+        if (remainingKrw >= parseFloat(chance.market.bid.min_total)) {
+          await validateOrder(exchange, { market, side: 'bid', total: remainingKrw });
+          await ledger.reserveKrw(market, remainingKrw * (1 + parseFloat(chance.bid_fee)));
+          const marketBuyOrder = await exchange.buyMarket(market, remainingKrw);
+          ledger.releaseKrw(market);
+          buyFills.push(await settleOrder(exchange, marketBuyOrder.uuid));
+        } else {
+          log('warn', `남은 매수 금액 ${remainingKrw.toLocaleString()}원이 최소 주문금액 미만 - 추가 매수 생략`);
+        }
+      } else {
+        buyFills.push(summarizeOrder(orderInfo));
+      }
+
+      // 실제 체결 정보 합산 (지정가 부분 체결 + 시장가 추가 매수, 체결 내역 기준 VWAP)
+      const buySettlement = combineSettlements(buyFills);
+      const executedVolume = normalizeVolume(buySettlement.volume);
+      if (executedVolume <= 0) {
+        throw new Error('매수 체결 수량 없음');
+      }
+      ledger.addInventory(market, executedVolume);
+      const buyTotalAmount = buySettlement.funds;
+      const buyFee = buySettlement.paidFee;
+      const buyPrice = buySettlement.avgPrice;
+
+      // DB 매수 완료 업데이트
+      await db.updateBuyComplete(tradeId, {
+        buyTotalAmount,
+        buyDatetime: toMySQLDateTime(new Date(now())),
+        buyUnitPrice: buyPrice,
+        buyVolume: executedVolume,
+        buyFee,
+      });
+
+      return await managePosition({
+        tradeId,
+        market,
+        koreanName,
+        takeProfit: tradeAnalysis.takeProfit,
+        stopLoss: tradeAnalysis.stopLoss,
+        volume: executedVolume,
+        buyTotalAmount,
+        buyFee,
+        buyPrice,
+        buyDatetime: new Date(orderInfo.created_at).toISOString(),
+      }, { cycleDeadline });
+
+  } catch (error) {
+    // 주문 전에 실패했으면 예약한 KRW 반납
+    ledger.releaseKrw(market);
+
+    // 에러 종류별 조치: retry(같은 페어 재시도) / skip(페어 포기) / halt(봇 중지)
+    const action = errorAction(error);
+    log('error', `거래 중 오류 발생 [${action}]: ${error.message}`);
+    if (action === ERROR_ACTION.HALT) {
+      throw error;  // 메인 루프에서 봇 중지
+    }
+    await sleep(5000);  // 오류 시 5초 대기
+    return { result: 'error', profitRate: 0, action };
+  }
+}
+
+
+/**
+ * 복구 불가 처리
+ * 
+ * @param {object} trade - trades 레코드
+ * @param {string} reason - 사유
+ */
+async function abandonTrade(trade, reason) {
+  log('error', `거래 ${trade.id} 복구 불가: ${reason}`);
+  await db.updateTradeStatus(trade.id, '복구불가');
+  await db.logRecoveryAction(trade.id, 'abandon', reason);
+}
+
+/**
+ * 미완료 거래 1건 복구
+ * 
+ * 1. 매수주문발송: 매수 주문을 조회해 미체결분은 취소하고, 체결분이 있으면 매수완료로 전환
+ * 2. 매수완료: 익절 주문과 잔고를 확인해 보유 수량을 맞춤
+ * 3. 복구 정책(config.RECOVERY.POLICY)에 따라 모니터링 재개(resume) 또는 즉시 청산(close)
+ * 
+ * @param {object} trade - trades 레코드 (order_status: 매수주문발송 | 매수완료)
+ */
+async function recoverTrade(trade) {
+  const tradeId = trade.id;
+  const market = trade.market;
+  log('warn', `거래 ${tradeId} 복구: ${trade.coin_name_ko} (${market || '마켓 정보 없음'}) - ${trade.order_status}`);
+
+  // 모의거래는 재시작 시 가상 원장이 초기화되므로 이어서 관리할 수 없음
+  if (trade.is_simulated) {
+    await abandonTrade(trade, '모의 계좌가 초기화되어 포지션 없음');
+    return;
+  }
+  if (!market) {
+    await abandonTrade(trade, '마켓 정보 없음 (market 컬럼 추가 이전 거래)');
+    return;
+  }
+
+  let position;
+
+  if (trade.order_status === '매수주문발송') {
+    if (!trade.buy_order_uuid) {
+      await abandonTrade(trade, '매수 주문 UUID 없음');
+      return;
+    }
+
+    // 대기 중이면 취소하고 체결분만 포지션으로 인정
+    const buyOrderInfo = await exchange.getOrder(trade.buy_order_uuid);
+    const fill = buyOrderInfo.state === 'wait'
+      ? await cancelRestingOrder(trade.buy_order_uuid)
+      : summarizeOrder(buyOrderInfo);
+
+    if (fill.volume <= 0) {
+      await db.updateTradeStatus(tradeId, '매수취소');
+      await db.logRecoveryAction(tradeId, 'buy_cancelled', `매수 체결 없음 - 주문 ${fill.state}`);
+      log('info', `거래 ${tradeId}: 매수 체결 없음 - 매수취소 처리`);
+      return;
+    }
+
+    const buyDatetime = new Date(buyOrderInfo.created_at);
+    await db.updateBuyComplete(tradeId, {
+      buyTotalAmount: fill.funds,
+      buyDatetime: toMySQLDateTime(buyDatetime),
+      buyUnitPrice: fill.avgPrice,
+      buyVolume: normalizeVolume(fill.volume),
+      buyFee: fill.paidFee,
+    });
+    await db.logRecoveryAction(tradeId, 'buy_settled', `매수 체결 확인: ${fill.volume} @ ${fill.avgPrice}`);
+
+    position = {
+      volume: normalizeVolume(fill.volume),
+      buyTotalAmount: fill.funds,
+      buyFee: fill.paidFee,
+      buyPrice: fill.avgPrice,
+      buyDatetime: buyDatetime.toISOString(),
+      takeProfitOrderUuid: null,
+    };
+  } else {
+    position = {
+      volume: parseFloat(trade.buy_volume),
+      buyTotalAmount: parseFloat(trade.buy_total_amount),
+      buyFee: parseFloat(trade.buy_fee || 0),
+      buyPrice: parseFloat(trade.buy_unit_price),
+      buyDatetime: new Date(Date.parse(`${trade.buy_datetime_utc.replace(' ', 'T')}Z`)).toISOString(),
+      takeProfitOrderUuid: trade.take_profit_order_uuid,
+    };
+  }
+
+  // 익절 주문 상태 확인 (외부에서 취소됐으면 새로 걸도록 UUID 제거)
+  let takeProfitLive = false;
+  if (position.takeProfitOrderUuid) {
+    const takeProfitInfo = await exchange.getOrder(position.takeProfitOrderUuid);
+    if (takeProfitInfo.state === 'done') {
+      await db.logRecoveryAction(tradeId, 'take_profit_filled', '재시작 전에 익절 주문 체결됨');
+    } else if (takeProfitInfo.state === 'cancel') {
+      await db.logRecoveryAction(tradeId, 'take_profit_cancelled', `익절 주문 취소 상태 (체결 ${takeProfitInfo.executed_volume})`);
+      position.takeProfitOrderUuid = null;
+    } else {
+      takeProfitLive = true;
+      position.takeProfit = parseFloat(takeProfitInfo.price);  // 익절가 상향 후 재시작했으면 주문 가격이 최신 익절가
+    }
+  }
+
+  // 거래소 잔고와 보유 수량 대조 (익절 주문이 걸려 있으면 잔고가 locked에 있음)
+  if (!takeProfitLive) {
+    const currency = market.split('-')[1];
+    const account = (await exchange.getBalance()).find(a => a.currency === currency);
+    const held = account ? parseFloat(account.balance) + parseFloat(account.locked) : 0;
+
+    if (position.takeProfitOrderUuid === null && held < position.volume) {
+      if (held <= 0) {
+        await abandonTrade(trade, `${currency} 잔고 없음 (수동 매도 추정)`);
+        return;
+      }
+      await db.logRecoveryAction(tradeId, 'volume_adjusted', `보유 수량 ${position.volume} → 잔고 ${held}`);
+      position.volume = normalizeVolume(held);
+    }
+  }
+
+  // 복구한 수량을 봇 보유분으로 다시 등록 (원장은 메모리에만 있음)
+  ledger.addInventory(market, position.volume);
+
+  const closeNow = config.RECOVERY.POLICY === 'close';
+  await db.logRecoveryAction(tradeId, closeNow ? 'close' : 'resume', `익절 ${trade.llm_analysis_take_profit} / 손절 ${trade.llm_analysis_stop_loss}`);
+
+  const result = await managePosition({
+    tradeId,
+    market,
+    koreanName: trade.coin_name_ko,
+    takeProfit: parseFloat(trade.llm_analysis_take_profit),
+    stopLoss: parseFloat(trade.llm_analysis_stop_loss),
+    ...position,
+  }, { closeNow });
+
+  await db.logRecoveryAction(tradeId, 'completed', `${result.result} (${result.profitRate.toFixed(2)}%)`);
+}
+
+/**
+ * ============================================================
+ * 시작 시 미완료 거래 복구
+ * ============================================================
+ * 
+ * 봇이 거래 도중 종료되면 DB에 매수주문발송/매수완료 상태의 거래가 남고,
+ * 코인은 관리되지 않은 채 계좌에 남습니다.
+ * 시작할 때 이런 거래를 불러와 거래소 주문/잔고와 대조한 뒤 이어서 관리합니다.
+ * 모든 복구 조치는 trade_recovery_logs 테이블에 기록됩니다.
+ */
+async function recoverOpenTrades() {
+  const trades = await db.getOpenTrades(PAPER_MODE);
+  if (trades.length === 0) return;
+
+  log('warn', `미완료 거래 ${trades.length}건 복구 시작 (정책: ${config.RECOVERY.POLICY})`);
+  for (const trade of trades) {
+    try {
+      await recoverTrade(trade);
+    } catch (error) {
+      log('error', `거래 ${trade.id} 복구 실패: ${error.message}`);
+      await db.logRecoveryAction(trade.id, 'error', error.message);
+      if (errorAction(error) === ERROR_ACTION.HALT) throw error;
+    }
+  }
+}
+
+/**
+ * ============================================================
+ * 스캔 사이클 1회 실행
+ * ============================================================
+ * 
+ * [스캔-1~4]로 페어를 선정하고, 사이클 시간(기본 30분) 동안
+ * 같은 페어로 거래를 반복합니다.
+ * 메인 루프(index.js)와 백테스트(backtest.js)가 이 함수를 반복 호출합니다.
+ */
+async function runScanCycle() {
+  // 계좌 리스크 한도에 걸려 있으면 스캔하지 않고 대기
+  if (!(await canOpenPosition())) {
+    await sleep(config.RISK.CHECK_INTERVAL);
+    return;
+  }
+
+  // [스캔-1~2] 페어 스캔
+  const filteredPairs = await scanPairs();
+
+  if (filteredPairs.length === 0) {
+    log('warn', '거래 가능한 페어 없음. 5분 후 재시도...');
+    await sleep(5 * 60 * 1000);
+    return;
+  }
+
+  // [스캔-3] 상세 데이터 조회 (유동성 부족 페어 제외)
+  const pairsData = await getPairDetails(filteredPairs);
+
+  if (pairsData.length === 0) {
+    log('warn', '유동성 조건을 만족하는 페어 없음. 5분 후 재시도...');
+    await sleep(5 * 60 * 1000);
+    return;
+  }
+
+  // [스캔-4] 최적 페어 선정
+  const bestPair = await selectBestPair(pairsData);
+
+  // 🆕 [변경] 진입 추천 종목이 없으면 거래 실행하지 않고 30분 대기
+  if (bestPair === null) {
+    log('warn', '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    log('warn', '🚫 현재 진입할 만한 종목이 없습니다.');
+    log('warn', `⏰ 다음 스캔까지 ${MAX_CYCLE_TIME / 60000}분 대기...`);
+    log('warn', '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    await sleep(MAX_CYCLE_TIME);  // 30분(설정값) 대기 후 재스캔
+    return;
+  }
+
+  const pairDetail = pairsData.find(p => p.market === bestPair.selectedPair);
+
+  // 2회 연속 손절로 끝났으면 30분 슬립 후 새로운 종목 스캔
+  const stopReason = await tradePair(bestPair, pairDetail);
+  if (stopReason === 'losses') {
+    log('error', `⏰ ${MAX_CYCLE_TIME / 60000}분 슬립 후 새로운 종목 스캔 시작...`);
+    await sleep(MAX_CYCLE_TIME);  // 30분 슬립
+  }
+
+  log('info', '\n다음 사이클 시작...\n');
+}
+
+/**
+ * 선정된 페어로 사이클 시간 동안 거래 반복
+ * 
+ * 단일 페어 모드(runScanCycle)와 포트폴리오 모드(runPortfolio)가 함께 사용합니다.
+ * 
+ * @param {object} bestPair - 선정된 페어 정보
+ * @param {object} pairDetail - 페어 상세 데이터
+ * @param {object} options
+ * @param {number} options.budgetCap - 매수 금액 상한 (원, 포트폴리오 배정 금액)
+ * @returns {Promise<string>} 종료 사유 ('timeout' | 'losses' | 'risk' | 'policy' | 'funds' | 'error')
+ */
+async function tradePair(bestPair, pairDetail, { budgetCap = null } = {}) {
+  // 🆕 [v1.0.2] 연속 손절 카운터 및 거래 루프
+  let consecutiveLosses = 0;
+  const cycleStartTime = now();
+
+  // 30분 사이클 내에서 거래 반복
+  while (now() - cycleStartTime < MAX_CYCLE_TIME && isRunning()) {
+    // 새 포지션 진입 전 계좌 리스크 한도 확인
+    if (!(await canOpenPosition())) return 'risk';
+
+    // 직전 거래 손실로 쿨다운/차단된 마켓이면 새로운 종목 스캔으로
+    if (!(await isMarketAllowed(db, bestPair.selectedPair, PAPER_MODE))) return 'policy';
+
+    // [거래반복1] 단일 거래 실행
+    const tradeResult = await tradingCycle(bestPair, pairDetail, { budgetCap, cycleDeadline: cycleStartTime + MAX_CYCLE_TIME });
+
+    // 거래 결과에 따른 처리
+    if (tradeResult.result === '손절') {
+      consecutiveLosses++;
+      log('warn', `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+      log('warn', `🔴 연속 손절: ${consecutiveLosses}회`);
+      
+      // 🆕 [v1.0.2] 2회 연속 손절 시 루프 중지 (슬립은 호출한 쪽에서)
+      if (consecutiveLosses >= 2) {
+        log('error', `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+        log('error', `🛑 2회 연속 손절 발생! ${bestPair.selectedPair} 거래 루프 중지`);
+        log('error', `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+        return 'losses';  // 거래 루프 탈출 → 새로운 종목 스캔으로
+      }
+      log('warn', `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+    } else if (tradeResult.result === '익절') {
+      consecutiveLosses = 0;  // 익절 시 연속 손절 카운터 리셋
+      log('success', `🟢 익절 성공! 연속 손절 카운터 리셋`);
+    } else if (tradeResult.result === 'error' && tradeResult.action === ERROR_ACTION.RETRY) {
+      // 일시적 오류(네트워크, 429, 5xx)는 같은 페어로 다시 거래
+      log('warn', '일시적 오류 - 같은 페어로 재시도');
+    } else if (tradeResult.result === 'skip') {
+      // 주문 금액 부족은 연속 손절로 카운트하지 않음 (페어 포기 후 재스캔)
+      return 'funds';
+    } else if (tradeResult.result === '시간초과') {
+      // 시간초과는 연속 손절로 카운트하지 않음 (움직임이 없는 페어는 포기 후 재스캔)
+      return 'timeout';
+    } else if (tradeResult.result === 'error') {
+      // 에러는 연속 손절로 카운트하지 않음 (페어 포기 후 재스캔)
+      return 'error';
+    }
+
+    // 다음 거래 전 잠시 대기
+    await sleep(1000);
+  }
+
+  return 'timeout';
+}
+
+/**
+ * 포트폴리오용 후보 페어 찾기 ([스캔-1~4])
+ * 
+ * 이미 거래 중인 마켓은 스캔 결과에서 제외합니다.
+ * 
+ * @param {array} heldMarkets - 제외할 마켓 코드 목록 (거래 중이거나 쉬는 중)
+ * @param {number} plannedBudget - 포지션당 매수 금액 (원, 유동성 확인용)
+ * @returns {Promise<object|null>} { bestPair, pairDetail } (후보가 없으면 null)
+ */
+async function findCandidate(heldMarkets, plannedBudget) {
+  const filteredPairs = (await scanPairs()).filter(p => !heldMarkets.includes(p.market));
+  if (filteredPairs.length === 0) {
+    log('info', '새로 진입할 페어 없음 (거래 중인 마켓 제외)');
+    return null;
+  }
+
+  const pairsData = await getPairDetails(filteredPairs, { plannedBudget });
+  if (pairsData.length === 0) {
+    log('info', '새로 진입할 페어 없음 (유동성 부족)');
+    return null;
+  }
+
+  const bestPair = await selectBestPair(pairsData);
+  if (bestPair === null || heldMarkets.includes(bestPair.selectedPair)) {
+    log('info', '새로 진입할 만한 종목 없음');
+    return null;
+  }
+
+  return { bestPair, pairDetail: pairsData.find(p => p.market === bestPair.selectedPair) };
+}
+
+/**
+ * ============================================================
+ * 포트폴리오 모드 실행 (동시 다중 포지션)
+ * ============================================================
+ * 
+ * 최대 config.PORTFOLIO.MAX_POSITIONS개 마켓을 동시에 거래합니다.
+ * - 자금: 시드머니를 포지션 수로 나눠 배정, 배정 합계는 MAX_EXPOSURE_RATE 이하 (portfolio.js)
+ * - 포지션마다 독립적으로 거래 반복/모니터링/DB·Notion 기록 (tradePair)
+ * - 포지션이 열려 있는 동안에도 빈 자리가 있으면 계속 스캔 (2회 연속 손절한 마켓은 사이클 시간 동안 제외)
+ * 
+ * 봇이 멈추면 열린 포지션이 모두 끝날 때까지 기다린 뒤 반환합니다.
+ * 중지(halt) 에러가 나면 새 스캔을 멈추고, 열린 포지션을 마무리한 뒤 에러를 던집니다.
+ */
+async function runPortfolio() {
+  const portfolio = createPortfolio({
+    maxPositions: config.PORTFOLIO.MAX_POSITIONS,
+    totalCapital: SEED_MONEY,
+    maxExposure: SEED_MONEY * config.PORTFOLIO.MAX_EXPOSURE_RATE,
+    minBudget: config.TRADE.MIN_ORDER_TOTAL,
+  });
+  const tasks = new Set();
+  const restingUntil = new Map();  // 2회 연속 손절한 마켓 → 다시 스캔 대상이 되는 시각 (단일 모드의 30분 슬립과 같음)
+  let haltError = null;
+  let positionClosed = false;      // 스캔 후 포지션이 끝났으면 대기 없이 빈 자리를 채움
+
+  log('info', `포트폴리오 모드: 최대 ${config.PORTFOLIO.MAX_POSITIONS}개 포지션, 포지션당 ${Math.floor(SEED_MONEY / config.PORTFOLIO.MAX_POSITIONS).toLocaleString()}원`);
+
+  while (isRunning() && !haltError) {
+    positionClosed = false;
+    if (!portfolio.isFull() && await canOpenPosition()) {
+      try {
+        for (const [market, until] of restingUntil) {
+          if (now() >= until) restingUntil.delete(market);
+        }
+        const candidate = await findCandidate(
+          [...portfolio.markets(), ...restingUntil.keys()],
+          SEED_MONEY / config.PORTFOLIO.MAX_POSITIONS,
+        );
+        const market = candidate?.bestPair.selectedPair;
+        const budgetCap = candidate ? portfolio.reserve(market) : null;
+
+        if (budgetCap !== null) {
+          log('success', `📂 포지션 시작: ${market} (배정 ${budgetCap.toLocaleString()}원, ${portfolio.markets().length}/${config.PORTFOLIO.MAX_POSITIONS})`);
+          const task = tradePair(candidate.bestPair, candidate.pairDetail, { budgetCap })
+            .then(stopReason => {
+              log('info', `📁 포지션 종료: ${market} (${stopReason})`);
+              if (stopReason === 'losses') restingUntil.set(market, now() + MAX_CYCLE_TIME);
+            })
+            .catch(error => {
+              if (errorAction(error) === ERROR_ACTION.HALT) haltError = haltError || error;
+              else log('error', `${market} 거래 오류: ${error.message}`);
+            })
+            .finally(() => {
+              portfolio.release(market);
+              tasks.delete(task);
+              positionClosed = true;
+            });
+          tasks.add(task);
+        }
+      } catch (error) {
+        if (errorAction(error) === ERROR_ACTION.HALT) {
+          haltError = error;
+          break;
+        }
+        log('error', `포트폴리오 스캔 오류: ${error.message}`);
+      }
+    }
+
+    // 스캔 간격을 짧게 나눠 대기 (중지/HALT나 포지션 종료를 스캔 간격만큼 늦게 알아채지 않도록)
+    const nextScanAt = now() + config.PORTFOLIO.SCAN_INTERVAL;
+    while (now() < nextScanAt && isRunning() && !haltError && !positionClosed) {
+      await sleep(Math.min(config.PORTFOLIO.STOP_CHECK_INTERVAL, nextScanAt - now()));
+    }
+  }
+
+  // 열린 포지션은 익절/손절까지 마무리
+  if (tasks.size > 0) {
+    log('info', `열린 포지션 ${tasks.size}개 종료 대기...`);
+    await Promise.all(tasks);
+  }
+  if (haltError) throw haltError;
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  configure,
+  scanPairs,
+  getPairDetails,
+  selectBestPair,
+  tradingCycle,
+  managePosition,
+  recoverOpenTrades,
+  runScanCycle,
+  runPortfolio,
+};
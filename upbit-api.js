@@ -17,8 +17,20 @@
  * ============================================================
  */
 
+const { v4: uuidv4 } = require('uuid');
 const config = require('./config');
-const { createUpbitToken, log } = require('./utils');
+const { createUpbitToken, log, sleep } = require('./utils');
+const { groupOf, rateLimitedFetch } = require('./rate-limiter');
+const {
+  ERROR_KIND,
+  ERROR_ACTION,
+  UpbitError,
+  createUpbitError,
+  createNetworkError,
+  backoffDelay,
+  withRetry,
+} = require('./errors');
+const { formatPrice, formatVolume } = require('./order-normalizer');
 
 const BASE_URL = config.UPBIT.REST_URL;
 const ACCESS_KEY = config.UPBIT.ACCESS_KEY;
@@ -28,10 +40,40 @@ const SECRET_KEY = config.UPBIT.SECRET_KEY;
 // 공통 요청 함수
 // ============================================================
 
+/**
+ * 요청 1회 전송 후 응답 파싱
+ * 
+ * 실패는 모두 UpbitError(errors.js)로 변환합니다.
+ * - 연결 실패/타임아웃 → kind: network
+ * - HTTP 에러 응답 → 에러 이름/상태 코드로 분류
+ * 
+ * @param {string} group - 요청 그룹
+ * @param {string} url - 요청 URL
+ * @param {function} buildOptions - fetch 옵션 생성 함수
+ * @returns {Promise<object>} API 응답 데이터
+ */
+async function send(group, url, buildOptions = () => ({})) {
+  let res;
+  try {
+    res = await rateLimitedFetch(group, url, () => ({
+      ...buildOptions(),
+      signal: AbortSignal.timeout(config.RETRY.REQUEST_TIMEOUT),
+    }));
+  } catch (e) {
+    throw createNetworkError(e);
+  }
+  if (!res.ok) {
+    throw createUpbitError(res.status, await res.text());
+  }
+  return res.json();
+}
+
 /**
  * Public API GET 요청 (인증 불필요)
  * 
  * 시세 조회, 캔들 데이터 등 인증 없이 접근 가능한 API용
+ * 그룹별 호출 한도에 맞춰 rate-limiter.js 대기열을 거쳐 호출됩니다.
+ * 조회 요청이므로 일시적 오류는 재시도 정책(config.RETRY)에 따라 다시 시도합니다.
  * 
  * @param {string} endpoint - API 엔드포인트 (예: '/market/all')
  * @param {object} params - 쿼리 파라미터
@@ -41,12 +83,10 @@ async function publicGet(endpoint, params = {}) {
   const url = new URL(`${BASE_URL}${endpoint}`);
   Object.entries(params).forEach(([k, v]) => url.searchParams.append(k, v));
   
-  const res = await fetch(url.toString());
-  if (!res.ok) {
-    const error = await res.text();
-    throw new Error(`Upbit API Error: ${res.status} - ${error}`);
-  }
-  return res.json();
+  return withRetry(
+    () => send(groupOf('GET', endpoint), url.toString()),
+    { label: `GET ${endpoint}` }
+  );
 }
 
 /**
@@ -54,6 +94,10 @@ async function publicGet(endpoint, params = {}) {
  * 
  * 주문, 잔고 조회 등 인증이 필요한 API용
  * 자동으로 JWT 토큰을 생성하여 Authorization 헤더에 포함
+ * 429 재전송 시 nonce가 겹치지 않도록 토큰은 요청마다 새로 생성합니다.
+ * 
+ * 조회(GET)와 취소(DELETE)는 여러 번 보내도 결과가 같으므로 자동 재시도하고,
+ * 주문 생성(POST)은 중복 주문을 막기 위해 여기서 재시도하지 않습니다 (placeOrder() 참고).
  * 
  * @param {string} method - HTTP 메서드 (GET, POST, DELETE)
  * @param {string} endpoint - API 엔드포인트
@@ -62,31 +106,93 @@ async function publicGet(endpoint, params = {}) {
  */
 async function privateRequest(method, endpoint, params = {}) {
   const query = Object.keys(params).length > 0 ? params : null;
-  const token = createUpbitToken(ACCESS_KEY, SECRET_KEY, query);
   
-  const options = {
-    method,
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json',
-    },
+  // 요청 옵션 (재전송 시마다 새 JWT 토큰 생성)
+  const buildOptions = () => {
+    const options = {
+      method,
+      headers: {
+        'Authorization': `Bearer ${createUpbitToken(ACCESS_KEY, SECRET_KEY, query)}`,
+        'Content-Type': 'application/json',
+      },
+    };
+    if (method === 'POST' && query) {
+      options.body = JSON.stringify(query);
+    }
+    return options;
   };
   
   let url = `${BASE_URL}${endpoint}`;
   
-  // GET 요청은 쿼리스트링, POST/DELETE는 body로 전달
-  if (method === 'GET' && query) {
+  // GET/DELETE 요청은 쿼리스트링, POST는 body로 전달
+  if (method !== 'POST' && query) {
     url += '?' + new URLSearchParams(query).toString();
-  } else if (method === 'POST' && query) {
-    options.body = JSON.stringify(query);
   }
   
-  const res = await fetch(url, options);
-  if (!res.ok) {
-    const error = await res.text();
-    throw new Error(`Upbit API Error: ${res.status} - ${error}`);
+  const group = groupOf(method, endpoint);
+  if (method === 'POST') {
+    return send(group, url, buildOptions);
+  }
+  return withRetry(() => send(group, url, buildOptions), { label: `${method} ${endpoint}` });
+}
+
+/**
+ * 주문 생성 (중복 주문 방지 재시도)
+ * 
+ * 주문마다 identifier(사용자 지정 주문 ID)를 붙여 보냅니다.
+ * 타임아웃/5xx처럼 주문 접수 여부를 알 수 없는 실패는 identifier로 조회해서
+ * 이미 접수된 주문이면 그 주문을 반환하고, 없을 때만 새 identifier로 다시 보냅니다.
+ * 429는 처리되지 않은 요청이므로 조회 없이 다시 보냅니다.
+ * 
+ * @param {object} params - 주문 파라미터 (market, side, ord_type, price, volume)
+ * @returns {Promise<object>} 주문 결과
+ */
+async function placeOrder(params) {
+  const maxAttempts = config.RETRY.ORDER_MAX_ATTEMPTS;
+
+  for (let attempt = 1; ; attempt++) {
+    const identifier = uuidv4();
+    try {
+      return await privateRequest('POST', '/orders', { ...params, identifier });
+    } catch (error) {
+      if (error.action !== ERROR_ACTION.RETRY) throw error;
+
+      if (error.kind !== ERROR_KIND.RATE_LIMIT) {
+        const existing = await findOrderByIdentifier(identifier, error);
+        if (existing) {
+          log('warn', `주문 응답 실패(${error.kind})했지만 접수 확인됨: ${existing.uuid}`);
+          return existing;
+        }
+      }
+
+      if (attempt >= maxAttempts) throw error;
+      const delay = backoffDelay(attempt);
+      log('warn', `주문 실패 (${error.kind}) - ${delay}ms 후 재주문 (${attempt}/${maxAttempts - 1})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * identifier로 주문 조회
+ * 
+ * 조회마저 실패하면 주문이 들어갔는지 알 수 없으므로
+ * 봇을 멈추도록 ORDER_UNKNOWN 에러를 던집니다.
+ * 
+ * @param {string} identifier - 주문 시 지정한 ID
+ * @param {UpbitError} orderError - 원래 주문 에러
+ * @returns {Promise<object|null>} 주문 (없으면 null)
+ */
+async function findOrderByIdentifier(identifier, orderError) {
+  try {
+    return await privateRequest('GET', '/order', { identifier });
+  } catch (error) {
+    if (error.kind === ERROR_KIND.NOT_FOUND) return null;
+    throw new UpbitError(
+      `주문 접수 여부 확인 불가 (identifier: ${identifier}) - ${orderError.message}`,
+      { kind: ERROR_KIND.ORDER_UNKNOWN, cause: error }
+    );
   }
-  return res.json();
 }
 
 // ============================================================
@@ -251,12 +357,12 @@ async function getKrwBalance() {
  */
 async function buyLimit(market, price, volume) {
   log('trade', `지정가 매수 주문: ${market} @ ${price}원, 수량: ${volume}`);
-  return privateRequest('POST', '/orders', {
+  return placeOrder({
     market,
     side: 'bid',        // bid = 매수
     ord_type: 'limit',  // limit = 지정가
-    price: price.toString(),
-    volume: volume.toString(),
+    price: formatPrice(price),
+    volume: formatVolume(volume),
   });
 }
 
@@ -271,11 +377,11 @@ async function buyLimit(market, price, volume) {
  */
 async function buyMarket(market, price) {
   log('trade', `시장가 매수 주문: ${market}, 금액: ${price}원`);
-  return privateRequest('POST', '/orders', {
+  return placeOrder({
     market,
     side: 'bid',
     ord_type: 'price',  // price = 시장가 매수 (금액 기준)
-    price: price.toString(),
+    price: Math.floor(price).toString(),  // 원 단위 내림
   });
 }
 
@@ -290,11 +396,11 @@ async function buyMarket(market, price) {
  */
 async function sellMarket(market, volume) {
   log('trade', `시장가 매도 주문: ${market}, 수량: ${volume}`);
-  return privateRequest('POST', '/orders', {
+  return placeOrder({
     market,
     side: 'ask',        // ask = 매도
     ord_type: 'market', // market = 시장가 매도
-    volume: volume.toString(),
+    volume: formatVolume(volume),
   });
 }
 
@@ -308,12 +414,12 @@ async function sellMarket(market, volume) {
  */
 async function sellLimit(market, price, volume) {
   log('trade', `지정가 매도 주문: ${market} @ ${price}원, 수량: ${volume}`);
-  return privateRequest('POST', '/orders', {
+  return placeOrder({
     market,
     side: 'ask',
     ord_type: 'limit',
-    price: price.toString(),
-    volume: volume.toString(),
+    price: formatPrice(price),
+    volume: formatVolume(volume),
   });
 }
 
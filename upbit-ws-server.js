@@ -0,0 +1,102 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - 로컬 WebSocket 시세 서버 (테스트용)
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 업비트 WebSocket을 흉내 내는 로컬 서버입니다.
+ * 실제 업비트에 접속하지 않고 upbit-ws.js와 모니터링 루프를 시험할 때 사용합니다.
+ * 
+ * 지원 기능:
+ * - 구독 요청([{ticket}, {type, codes}, {format}]) 기록
+ * - PING → {"status":"UP"} 응답
+ * - 구독한 클라이언트에게만 바이너리(JSON) 시세 전송
+ * - 연결 강제 종료 (재접속 시험용)
+ * ============================================================
+ */
+
+const { WebSocketServer } = require('ws');
+
+/**
+ * 로컬 시세 서버 시작
+ * 
+ * @param {object} options
+ * @param {number} options.port - 포트 (기본 0 = 빈 포트 자동 선택)
+ * @returns {Promise<object>} 서버 제어 객체
+ * 
+ * @example
+ * const server = await startLocalServer();
+ * const stream = createMarketStream({ url: server.url });
+ * await stream.connect();
+ * stream.subscribe('KRW-BTC');
+ * server.pushTicker('KRW-BTC', 100000000);
+ */
+function startLocalServer(options = {}) {
+  return new Promise((resolve) => {
+    const wss = new WebSocketServer({ port: options.port || 0 });
+    const subscriptions = new Map();  // 클라이언트 → { ticker: Set, trade: Set, orderbook: Set }
+
+    wss.on('connection', (socket) => {
+      subscriptions.set(socket, {});
+
+      socket.on('message', (raw) => {
+        const text = raw.toString('utf-8');
+        if (text === 'PING') {
+          socket.send(Buffer.from(JSON.stringify({ status: 'UP' })));
+          return;
+        }
+
+        // 새 구독 요청은 이전 구독을 대체 (업비트와 동일)
+        const request = JSON.parse(text);
+        const subscription = {};
+        for (const item of request) {
+          if (item.type) subscription[item.type] = new Set(item.codes);
+        }
+        subscriptions.set(socket, subscription);
+      });
+
+      socket.on('close', () => subscriptions.delete(socket));
+    });
+
+    /**
+     * 구독 중인 클라이언트에게 데이터 전송
+     *
+     * @param {string} type - 'ticker' | 'trade' | 'orderbook'
+     * @param {string} code - 마켓 코드
+     * @param {object} payload - 전송할 필드
+     */
+    function broadcast(type, code, payload = {}) {
+      const message = Buffer.from(JSON.stringify({ type, code, timestamp: Date.now(), ...payload }));
+      for (const [socket, subscription] of subscriptions) {
+        if (subscription[type]?.has(code)) socket.send(message);
+      }
+    }
+
+    wss.on('listening', () => {
+      const { port } = wss.address();
+      resolve({
+        url: `ws://127.0.0.1:${port}`,
+        port,
+        subscriptions,
+        broadcast,
+        pushTicker: (code, price, extra = {}) => broadcast('ticker', code, { trade_price: price, ...extra }),
+        pushTrade: (code, price, volume, extra = {}) => broadcast('trade', code, { trade_price: price, trade_volume: volume, ...extra }),
+        pushOrderbook: (code, units) => broadcast('orderbook', code, { orderbook_units: units }),
+        dropConnections: () => wss.clients.forEach(socket => socket.terminate()),
+        close: () => new Promise(done => {
+          wss.clients.forEach(socket => socket.terminate());
+          wss.close(() => done());
+        }),
+      });
+    });
+  });
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  startLocalServer,
+};
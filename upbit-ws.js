@@ -0,0 +1,374 @@
+/**
+ * ============================================================
+ * Crong Trader v1.0.0 - Upbit WebSocket 실시간 시세 모듈
+ * ============================================================
+ * 
+ * 마스터: 홍아름
+ * 작성자: 크롱 🦖
+ * 
+ * 업비트 WebSocket으로 현재가(ticker), 체결(trade), 호가(orderbook)를
+ * 실시간으로 받아옵니다. REST 현재가 폴링(0.5초 간격)을 대체하여
+ * 익절/손절 판단이 체결 즉시 이루어지고 REST 호출 한도를 아낄 수 있습니다.
+ * 
+ * 기능:
+ * - 구독 관리: subscribe / unsubscribe (변경 시 전체 구독 목록 재전송)
+ * - 하트비트: 주기적으로 PING 전송, 응답이 없으면 연결을 끊고 재접속
+ * - 재접속: 지수 백오프 후 재접속하고 기존 구독을 자동 복구
+ * - API: 이벤트(on('ticker') 등), 비동기 반복자(ticks()), nextTick()
+ * 
+ * 참고: https://docs.upbit.com/reference/websocket-guide
+ * ============================================================
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const config = require('./config');
+const { log } = require('./utils');
+
+// 구독 가능한 스트림 타입
+const STREAM_TYPES = ['ticker', 'trade', 'orderbook'];
+
+/**
+ * 실시간 시세 스트림 생성
+ * 
+ * 연결 하나로 여러 마켓을 구독합니다.
+ * 반환된 객체는 EventEmitter이며 다음 이벤트를 발생시킵니다.
+ * - 'ticker' / 'trade' / 'orderbook': (data) 수신 데이터 (data.code = 마켓 코드)
+ * - 'open': 연결(재연결) 완료
+ * - 'close': 연결 끊김
+ * 
+ * @param {object} options
+ * @param {string} options.url - WebSocket URL (기본: config.UPBIT.WS_URL)
+ * @param {array} options.types - 구독할 스트림 타입 (기본: ticker, trade, orderbook)
+ * @returns {EventEmitter} 시세 스트림
+ * 
+ * @example
+ * const stream = createMarketStream();
+ * await stream.connect();
+ * stream.subscribe(['KRW-BTC']);
+ * stream.on('ticker', t => console.log(t.code, t.trade_price));
+ */
+function createMarketStream(options = {}) {
+  const url = options.url || config.UPBIT.WS_URL;
+  const types = options.types || STREAM_TYPES;
+
+  const stream = new EventEmitter();
+  const markets = new Set();       // 구독 중인 마켓
+  const latest = {                 // 마켓별 최신 수신 데이터
+    ticker: new Map(),
+    trade: new Map(),
+    orderbook: new Map(),
+  };
+
+  let ws = null;
+  let connected = false;
+  let closedByUser = false;
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let lastMessageAt = 0;
+
+  // ========================================
+  // 내부 함수
+  // ========================================
+
+  /**
+   * 현재 구독 목록 전송
+   * 
+   * 업비트는 새 요청이 오면 이전 구독을 대체하므로 항상 전체 목록을 보냅니다.
+   */
+  function sendSubscription() {
+    if (!connected || markets.size === 0) return;
+
+    const codes = [...markets];
+    const request = [
+      { ticket: uuidv4() },
+      ...types.map(type => ({ type, codes })),
+      { format: 'DEFAULT' },
+    ];
+    ws.send(JSON.stringify(request));
+  }
+
+  /**
+   * 수신 메시지 처리
+   * 
+   * 업비트는 바이너리(Buffer)로 JSON을 보냅니다.
+   */
+  function handleMessage(raw) {
+    lastMessageAt = Date.now();
+
+    let data;
+    try {
+      data = JSON.parse(raw.toString('utf-8'));
+    } catch (e) {
+      log('warn', `WebSocket 메시지 파싱 실패: ${e.message}`);
+      return;
+    }
+
+    // PING 응답 ({"status":"UP"})
+    if (data.status) return;
+
+    if (data.error) {
+      log('error', `WebSocket 오류 응답: ${data.error.name} - ${data.error.message}`);
+      return;
+    }
+
+    if (STREAM_TYPES.includes(data.type)) {
+      latest[data.type].set(data.code, data);
+      stream.emit(data.type, data);
+    }
+  }
+
+  /**
+   * 하트비트 시작
+   * 
+   * 주기적으로 PING을 보내고, 마지막 수신 후 HEARTBEAT_TIMEOUT이 지나면
+   * 죽은 연결로 보고 끊어서 재접속을 유도합니다.
+   */
+  function startHeartbeat() {
+    stopHeartbeat();
+    heartbeatTimer = setInterval(() => {
+      if (!connected) return;
+
+      if (Date.now() - lastMessageAt > config.WS.HEARTBEAT_TIMEOUT) {
+        log('warn', 'WebSocket 응답 없음 - 재접속합니다.');
+        ws.terminate();
+        return;
+      }
+      ws.send('PING');
+    }, config.WS.HEARTBEAT_INTERVAL);
+  }
+
+  function stopHeartbeat() {
+    if (heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * 재접속 예약 (지수 백오프)
+   */
+  function scheduleReconnect() {
+    if (closedByUser || reconnectTimer) return;
+
+    const delay = Math.min(
+      config.WS.RECONNECT_BASE_DELAY * 2 ** reconnectAttempts,
+      config.WS.RECONNECT_MAX_DELAY
+    );
+    reconnectAttempts++;
+    log('warn', `WebSocket ${(delay / 1000).toFixed(1)}초 후 재접속 (${reconnectAttempts}회차)`);
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      open().catch(() => scheduleReconnect());
+    }, delay);
+  }
+
+  /**
+   * WebSocket 연결
+   * 
+   * @returns {Promise<void>} 연결 완료 시 resolve
+   */
+  function open() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(url);
+      ws = socket;
+
+      socket.on('open', () => {
+        connected = true;
+        reconnectAttempts = 0;
+        lastMessageAt = Date.now();
+        log('info', `WebSocket 연결됨: ${url}`);
+        sendSubscription();  // 재접속 시 기존 구독 복구
+        startHeartbeat();
+        stream.emit('open');
+        resolve();
+      });
+
+      socket.on('message', handleMessage);
+
+      socket.on('error', (e) => {
+        log('error', `WebSocket 오류: ${e.message}`);
+        if (!connected) reject(e);
+      });
+
+      socket.on('close', () => {
+        const wasConnected = connected;
+        connected = false;
+        stopHeartbeat();
+        if (wasConnected) {
+          log('warn', 'WebSocket 연결 끊김');
+          stream.emit('close');
+          scheduleReconnect();
+        }
+      });
+    });
+  }
+
+  // ========================================
+  // 공개 API
+  // ========================================
+
+  /**
+   * 연결 시작
+   * 
+   * 첫 연결에 실패하면 에러를 던지지 않고 백그라운드에서 재접속을 계속합니다.
+   * 
+   * @returns {Promise<boolean>} 첫 연결 성공 여부
+   */
+  stream.connect = async () => {
+    closedByUser = false;
+    try {
+      await open();
+      return true;
+    } catch (e) {
+      scheduleReconnect();
+      return false;
+    }
+  };
+
+  /**
+   * 연결 종료 (재접속하지 않음)
+   */
+  stream.close = () => {
+    closedByUser = true;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    stopHeartbeat();
+    if (ws) ws.close();
+    connected = false;
+    stream.emit('end');
+  };
+
+  /**
+   * 연결 상태
+   * 
+   * @returns {boolean} 연결 여부
+   */
+  stream.isConnected = () => connected;
+
+  /**
+   * 마켓 구독 추가
+   * 
+   * @param {string|array} codes - 마켓 코드 (여러 개 가능)
+   */
+  stream.subscribe = (codes) => {
+    const list = Array.isArray(codes) ? codes : [codes];
+    const before = markets.size;
+    list.forEach(code => markets.add(code));
+    if (markets.size !== before) sendSubscription();
+  };
+
+  /**
+   * 마켓 구독 해제
+   * 
+   * @param {string|array} codes - 마켓 코드 (여러 개 가능)
+   */
+  stream.unsubscribe = (codes) => {
+    const list = Array.isArray(codes) ? codes : [codes];
+    list.forEach(code => {
+      markets.delete(code);
+      STREAM_TYPES.forEach(type => latest[type].delete(code));
+    });
+    sendSubscription();
+  };
+
+  /**
+   * 마켓별 최신 수신 데이터
+   * 
+   * @param {string} type - 'ticker' | 'trade' | 'orderbook'
+   * @param {string} code - 마켓 코드
+   * @returns {object|null} 최신 데이터
+   */
+  stream.getLatest = (type, code) => latest[type].get(code) || null;
+
+  /**
+   * 다음 현재가 수신 대기
+   * 
+   * @param {string} code - 마켓 코드
+   * @param {number} timeoutMs - 최대 대기 시간 (밀리초)
+   * @returns {Promise<object|null>} 현재가 데이터 (시간 초과 시 null)
+   */
+  stream.nextTick = (code, timeoutMs = config.WS.TICK_TIMEOUT) => new Promise(resolve => {
+    const onTicker = (data) => {
+      if (data.code !== code) return;
+      cleanup();
+      resolve(data);
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      resolve(null);
+    }, timeoutMs);
+    const cleanup = () => {
+      clearTimeout(timer);
+      stream.off('ticker', onTicker);
+    };
+    stream.on('ticker', onTicker);
+  });
+
+  /**
+   * 현재가 비동기 반복자
+   * 
+   * for await 루프로 틱마다 반응할 수 있습니다.
+   * 루프를 빠져나오거나 close()하면 종료됩니다.
+   * 
+   * @param {string} code - 마켓 코드
+   * @param {string} type - 스트림 타입 (기본: 'ticker')
+   * @returns {AsyncIterable<object>}
+   * 
+   * @example
+   * for await (const tick of stream.ticks('KRW-BTC')) {
+   *   if (tick.trade_price >= takeProfit) break;
+   * }
+   */
+  stream.ticks = (code, type = 'ticker') => {
+    const queue = [];
+    let waiting = null;
+    let done = false;
+
+    const onData = (data) => {
+      if (data.code !== code) return;
+      if (waiting) {
+        waiting({ value: data, done: false });
+        waiting = null;
+      } else {
+        queue.push(data);
+      }
+    };
+    const finish = () => {
+      done = true;
+      stream.off(type, onData);
+      stream.off('end', finish);
+      if (waiting) {
+        waiting({ value: undefined, done: true });
+        waiting = null;
+      }
+      return Promise.resolve({ value: undefined, done: true });
+    };
+
+    stream.on(type, onData);
+    stream.on('end', finish);
+
+    return {
+      [Symbol.asyncIterator]() { return this; },
+      next() {
+        if (queue.length > 0) return Promise.resolve({ value: queue.shift(), done: false });
+        if (done) return Promise.resolve({ value: undefined, done: true });
+        return new Promise(resolve => { waiting = resolve; });
+      },
+      return: finish,
+    };
+  };
+
+  return stream;
+}
+
+// ============================================================
+// 모듈 내보내기
+// ============================================================
+module.exports = {
+  STREAM_TYPES,
+  createMarketStream,
+};
@@ -18,6 +18,9 @@
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
+// 시계 (null이면 실제 시간, 백테스트 시 가상 시계로 교체)
+let clock = null;
+
 /**
  * 로그 출력 함수
  * 
@@ -30,7 +33,7 @@ const { v4: uuidv4 } = require('uuid');
  * log('trade', '매수 완료', { price: 1000, volume: 10 });
  */
 function log(level, message, data = null) {
-  const timestamp = new Date().toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' });
+  const timestamp = new Date(now()).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' });
   
   // 레벨별 이모지 아이콘
   const prefix = {
@@ -97,9 +100,38 @@ function createUpbitToken(accessKey, secretKey, query = null) {
  * await sleep(1000); // 1초 대기
  */
 function sleep(ms) {
+  if (clock) return clock.sleep(ms);
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * 현재 시각 (밀리초)
+ * 
+ * 평소에는 Date.now()와 같고, 가상 시계가 설정되면 가상 시각을 반환합니다.
+ * 매매 로직은 Date.now() 대신 이 함수를 사용해야 백테스트에서 시간이 맞게 흐릅니다.
+ * 
+ * @returns {number} 현재 시각 (epoch 밀리초)
+ */
+function now() {
+  return clock ? clock.now() : Date.now();
+}
+
+/**
+ * 시계 교체
+ * 
+ * now()와 sleep()이 사용할 시계를 설정합니다.
+ * null을 넘기면 실제 시간으로 돌아갑니다.
+ * 
+ * @param {object|null} newClock - { now(): number, sleep(ms): Promise }
+ * 
+ * @example
+ * setClock(createVirtualClock(startTime));  // 백테스트
+ * setClock(null);                           // 실제 시간
+ */
+function setClock(newClock) {
+  clock = newClock;
+}
+
 /**
  * 변동성 계산
  * 
@@ -174,6 +206,31 @@ function getWeekRange(date = new Date()) {
   };
 }
 
+/**
+ * KST(한국 시간) 하루 범위 계산
+ * 
+ * 일일 손실 한도, 일일 거래 횟수처럼 하루 단위로 초기화되는 값에 사용합니다.
+ * 서버의 시간대와 관계없이 KST 자정 기준으로 계산합니다.
+ * 
+ * @param {number} time - 기준 시각 (epoch 밀리초, 기본: now())
+ * @returns {object} { start, end, label } (start/end는 epoch 밀리초, end는 다음 날 자정)
+ * 
+ * @example
+ * getKstDayRange();
+ * // { start: 1770649200000, end: 1770735600000, label: '2026-02-10' }
+ */
+function getKstDayRange(time = now()) {
+  const KST_OFFSET = 9 * 60 * 60 * 1000;
+  const DAY = 24 * 60 * 60 * 1000;
+  const start = Math.floor((time + KST_OFFSET) / DAY) * DAY - KST_OFFSET;
+
+  return {
+    start,
+    end: start + DAY,
+    label: new Date(start + KST_OFFSET).toISOString().slice(0, 10),
+  };
+}
+
 /**
  * ISO datetime을 MySQL DATETIME 형식으로 변환
  * 
@@ -199,8 +256,11 @@ module.exports = {
   log,
   createUpbitToken,
   sleep,
+  now,
+  setClock,
   calculateVolatility,
   calculateProfitRate,
   getWeekRange,
+  getKstDayRange,
   toMySQLDateTime,
 };